@@ -0,0 +1,60 @@
+import '../src/bot/utils/env.js';
+import Database from 'better-sqlite3';
+import { existsSync } from 'fs';
+import { runMigrations, getSchemaVersion, loadMigrations } from '../src/bot/services/migrations.js';
+import { getDataPath } from '../src/bot/utils/dataDir.js';
+
+/**
+ * Apply or preview the database migrations without starting the bot
+ *
+ *   npm run migrate           apply the pending migrations
+ *   npm run migrate:dry-run   run the pending migrations and roll them back
+ *
+ * The bot applies pending migrations on startup as well, this is for checking what
+ * an update will change before deploying it
+ */
+
+const dbPath = getDataPath('bot.db');
+
+async function migrate() {
+  const dryRun = process.argv.includes('--dry-run');
+  const dbExists = existsSync(dbPath);
+
+  if (!dbExists && !dryRun) {
+    console.log(`No database at ${dbPath} yet, it is created when the bot first starts.`);
+    return;
+  }
+
+  // A dry run without a database checks the migrations against an empty one
+  const db = dbExists ? new Database(dbPath) : new Database(':memory:');
+
+  try {
+    const migrations = await loadMigrations();
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+    console.log(`Database: ${dbExists ? dbPath : 'none yet, using an empty database'}`);
+    console.log(`Schema version: ${getSchemaVersion(db)} (latest: ${latest})`);
+
+    const result = await runMigrations(db, { dryRun });
+    if (!result.pending.length) {
+      console.log('The database is up to date.');
+      return;
+    }
+
+    if (!dryRun) {
+      console.log(`The database is now at schema version ${result.to}.`);
+      return;
+    }
+
+    for (const migration of result.pending) {
+      console.log(`Would apply ${migration.version}: ${migration.description}`);
+    }
+    console.log(`Dry run finished, ${result.pending.length} migration(s) ran without errors and were rolled back.`);
+  } finally {
+    db.close();
+  }
+}
+
+migrate().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
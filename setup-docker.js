@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 import fs from 'fs/promises';
+import { randomBytes } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
@@ -178,6 +179,14 @@ async function main() {
       message: 'Enter webhook port number:',
       default: '5000',
       validate: input => !isNaN(parseInt(input)) ? true : 'Must be a number',
+    },
+    {
+      type: 'input',
+      name: 'secret',
+      message: 'Enter the webhook secret (Plex, Tautulli, Sonarr, Radarr and Overseerr have to send it):',
+      // Keep the secret already configured so existing webhooks keep working
+      default: envContent.match(/^WEBHOOK_SECRET=(.+)$/m)?.[1].trim() || randomBytes(24).toString('hex'),
+      validate: input => input.trim() ? true : 'Webhooks are rejected without a secret',
     }
   ]);
   
@@ -195,7 +204,8 @@ async function main() {
     'SONARR_API_KEY': arrConfig.sonarrApiKey,
     'RADARR_URL': arrConfig.radarrUrl,
     'RADARR_API_KEY': arrConfig.radarrApiKey,
-    'WEBHOOK_PORT': webhookConfig.port
+    'WEBHOOK_PORT': webhookConfig.port,
+    'WEBHOOK_SECRET': webhookConfig.secret.trim()
   };
   
   // Create new env content with user inputs
@@ -122,6 +122,12 @@ async function main() {
       } else {
         console.log(chalk.green('✓ Radarr configuration detected.'));
       }
+
+      if (process.env.WEBHOOK_SECRET) {
+        console.log(chalk.green('✓ WEBHOOK_SECRET is set.'));
+      } else if (process.env.WEBHOOK_SECRET_DISABLED?.trim().toLowerCase() !== 'true') {
+        console.log(chalk.yellow('Note: WEBHOOK_SECRET is not set. Plex, Tautulli, Sonarr, Radarr and Overseerr webhooks are rejected until you set one.'));
+      }
     } else {
       validateSpinner.warn({ text: `Missing required variables: ${missingVars.join(', ')}` });
       console.log(chalk.yellow('Please edit your .env file to add the missing variables.'));
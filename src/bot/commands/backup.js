@@ -0,0 +1,129 @@
+import { EmbedBuilder } from 'discord.js';
+import { listBackups, createBackup, restoreBackup, getRetention } from '../services/backups.js';
+import { awaitConfirmation } from '../utils/interactivePicker.js';
+import { formatBytes } from '../utils/stringUtils.js';
+
+/**
+ * Lists, creates and restores database snapshots, see services/backups.js
+ * This is an admin command, by default only available in the ADMIN_CHANNEL_ID channel
+ */
+
+const USAGE =
+  '**Usage:**\n' +
+  '`!backup list` - Show the database backups, newest first\n' +
+  '`!backup create` - Back up the database now\n' +
+  '`!backup restore <number|file name>` - Replace the database with a backup\n\n' +
+  'Example: `!backup restore 2` restores the second newest backup.';
+
+// Embed descriptions are limited, older snapshots beyond this are summarized
+const MAX_LISTED = 25;
+
+const toTimestamp = date => Math.floor(date.getTime() / 1000);
+
+function describeBackup(backup) {
+  return `\`${backup.name}\` - ${formatBytes(backup.size)}, <t:${toTimestamp(backup.createdAt)}:R>`;
+}
+
+/**
+ * Find a snapshot by its number in the list (1 is the newest) or its file name
+ * @param {string} value - Command argument
+ * @returns {Object|null} Snapshot from listBackups
+ */
+function findBackup(value) {
+  const backups = listBackups();
+  if (/^\d+$/.test(value)) {
+    return backups[Number(value) - 1] || null;
+  }
+  return backups.find(backup => backup.name === value) || null;
+}
+
+async function showBackups(message) {
+  const backups = listBackups();
+  if (!backups.length) {
+    return await message.reply('There are no backups yet. Create one with `!backup create`.');
+  }
+
+  const lines = backups.slice(0, MAX_LISTED).map((backup, index) => `${index + 1}. ${describeBackup(backup)}`);
+  if (backups.length > MAX_LISTED) {
+    lines.push(`…and ${backups.length - MAX_LISTED} older`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('Database Backups')
+    .setDescription(lines.join('\n'))
+    .setColor(0x0099ff)
+    .setFooter({ text: `${backups.length} backup${backups.length === 1 ? '' : 's'} · keeping the newest ${getRetention()}` });
+
+  await message.reply({ embeds: [embed] });
+}
+
+async function backupNow(message) {
+  try {
+    const backup = await createBackup('manual');
+    await message.reply(`✅ Database backed up to ${describeBackup(backup)}.`);
+  } catch (error) {
+    console.error('Error creating database backup:', error);
+    await message.reply('The backup failed. Please check the logs.');
+  }
+}
+
+async function restore(message, args) {
+  const value = args.join(' ').trim();
+  if (!value) {
+    return await message.reply(USAGE);
+  }
+
+  const backup = findBackup(value);
+  if (!backup) {
+    return await message.reply(`No backup found for \`${value}\`. Use \`!backup list\` to see the backups.`);
+  }
+
+  const confirmMsg = await message.reply(
+    `⚠️ Restore ${describeBackup(backup)}?\n` +
+    'All subscriptions, requests, user mappings, permissions and history are replaced with the contents of this backup. ' +
+    'The current database is backed up first, so this can be undone.'
+  );
+
+  const answer = await awaitConfirmation(confirmMsg, message.author.id, {
+    confirmLabel: 'Restore',
+    declineLabel: 'Cancel'
+  });
+
+  if (answer !== 'confirmed') {
+    return await confirmMsg.edit(answer === 'timeout' ? 'Restore timed out, nothing was changed.' : 'Restore cancelled, nothing was changed.');
+  }
+
+  try {
+    const { restored, safety } = await restoreBackup(backup.name);
+    await confirmMsg.edit(
+      `✅ Restored \`${restored.name}\`.\n` +
+      `The database from before the restore was saved as \`${safety.name}\`.`
+    );
+  } catch (error) {
+    console.error(`Error restoring backup ${backup.name}:`, error);
+    await confirmMsg.edit(`❌ The restore failed: ${error.message}`);
+  }
+}
+
+export async function handleBackup(message, args) {
+  try {
+    const subcommand = args?.[0]?.toLowerCase();
+
+    switch (subcommand) {
+      case undefined:
+      case '':
+      case 'list':
+        return await showBackups(message);
+      case 'create':
+      case 'now':
+        return await backupNow(message);
+      case 'restore':
+        return await restore(message, args.slice(1));
+      default:
+        return await message.reply(USAGE);
+    }
+  } catch (error) {
+    console.error('Error handling backup command:', error);
+    await message.reply('An error occurred while managing the backups. Please check the logs.');
+  }
+}
@@ -2,6 +2,7 @@ import { EmbedBuilder } from 'discord.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { hasPermission } from '../services/permissions.js';
 
 // Function to read version from .version file or package.json
 function getVersion() {
@@ -43,15 +44,15 @@ export async function handleCommands(message) {
   
   const embed = new EmbedBuilder()
     .setTitle(`PlexMate v${version}`)
-    .setDescription('Here are all the commands you can use:')
+    .setDescription('Here are all the commands you can use. `/request`, `/subscribe`, `/list`, `/unsubscribe` and `/mapping` are also available as slash commands.')
     .addFields([
       {
         name: '!help',
         value: 'Show this help message'
       },
       {
-        name: '!request [title] (movie|tv)',
-        value: 'Search and request movies or TV shows. Add (movie) or (tv) to filter results.'
+        name: '!request [title] (movie|tv) [--4k]',
+        value: 'Search and request movies or TV shows. Add (movie) or (tv) to filter results, and --4k to request the 4K version. Admins can add --server=, --profile=, --folder= and --language= to pick where the request goes.'
       },
       {
         name: '!subscribe [title] [-e|-episode]',
@@ -64,32 +65,53 @@ export async function handleCommands(message) {
       {
         name: '!unsubscribe',
         value: 'Remove a subscription (pagination supported for multiple subscriptions)'
+      },
+      {
+        name: '!link [overseerr email or Plex username]',
+        value: 'Link your Discord account to your Overseerr account. An admin confirms the link before it is created.'
       }
     ]);
     
-  // Add admin commands section if in admin channel
-  if (message.channelId === process.env.ADMIN_CHANNEL_ID) {
+  // Add admin commands section for admins
+  const isAdmin = hasPermission(message, 'admin');
+  if (isAdmin) {
     embed.addFields([
       {
         name: '⚙️ Admin Commands',
-        value: 'The following commands are only available in the admin channel:'
+        value: 'The following commands are only available to admins:'
       },
       {
-        name: '!mapping add [overseerr_id] [discord_id]',
-        value: 'Add a new user mapping between Overseerr and Discord'
+        name: '!mapping set [discord_user] [overseerr_id]',
+        value: 'Map a Discord user to an Overseerr user, replacing any earlier mapping'
       },
       {
-        name: '!mapping remove [overseerr_id]',
+        name: '!mapping remove [discord_user|overseerr_id]',
         value: 'Remove an existing user mapping'
       },
       {
         name: '!mapping list',
         value: 'Show all current user mappings'
+      },
+      {
+        name: '!mapping suggest',
+        value: 'Match unmapped Overseerr users to server members by name and accept the suggestions in bulk'
+      },
+      {
+        name: '!stats [today|week|month|year|all|<days>d]',
+        value: 'Show download statistics from Sonarr and Radarr for a period, the last week by default'
+      },
+      {
+        name: '!permissions [list|add|remove|reset]',
+        value: 'Choose which channels, roles and users can use each command'
+      },
+      {
+        name: '!backup [list|create|restore]',
+        value: 'List the database backups, back up now, or restore a backup after confirming'
       }
     ]);
   }
   
-  embed.setFooter({ text: `PlexMate v${version} • Running in ${message.channelId === process.env.ADMIN_CHANNEL_ID ? 'Admin' : 'Standard'} Channel` });
+  embed.setFooter({ text: `PlexMate v${version} • Running in ${isAdmin ? 'Admin' : 'Standard'} Mode` });
 
   await message.reply({ embeds: [embed] });
 }
\ No newline at end of file
@@ -0,0 +1,194 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { findOverseerrUser, getOverseerrUser, getOverseerrUserName } from '../services/overseerr.js';
+import { getUserMappingByDiscordId, getUserMappingByOverseerrId, setUserMapping } from '../services/database.js';
+import { hasPermission } from '../services/permissions.js';
+
+/**
+ * Self-service linking of a Discord user to their Overseerr account
+ *
+ * The user gives their Overseerr email or Plex username, and the link request is
+ * posted to the admin channel. The mapping is only created once an admin approves it.
+ * Everything the buttons need is in their custom IDs, so they keep working after a restart.
+ */
+
+const APPROVE_PREFIX = 'link_approve';
+const REJECT_PREFIX = 'link_reject';
+
+const USAGE =
+  '**Usage:** `!link <overseerr email or Plex username>`\n' +
+  'Example: `!link someone@example.com` or `!link plexfan42`\n\n' +
+  'Once an admin approves it, your requests are made with your own Overseerr account ' +
+  'and you get notified about requests you make on the Overseerr website.';
+
+/**
+ * Describe an Overseerr account without exposing its email address
+ * @param {Object} account - Overseerr user
+ * @returns {string} Account name, with the Plex username when it differs
+ */
+function describeAccount(account) {
+  const name = getOverseerrUserName(account);
+  if (name === account.email) {
+    return `Overseerr user #${account.id}`;
+  }
+  return account.plexUsername && account.plexUsername !== name
+    ? `${name} (Plex: ${account.plexUsername})`
+    : name;
+}
+
+export async function handleLink(message, args) {
+  const identifier = args.join(' ').trim();
+  const current = getUserMappingByDiscordId(message.author.id);
+
+  if (!identifier) {
+    let reply = USAGE;
+    if (current) {
+      reply += `\n\nYou are currently linked to Overseerr user \`${current.overseerr_user_id}\`.`;
+    }
+    return await message.reply(reply);
+  }
+
+  try {
+    let account;
+    try {
+      account = await findOverseerrUser(identifier);
+    } catch (error) {
+      console.error('Error looking up Overseerr user for !link:', error);
+      return await message.reply('Could not reach Overseerr to look up your account. Please try again later.');
+    }
+
+    if (!account) {
+      return await message.reply('No Overseerr account was found with that email or Plex username. Please check the spelling and try again.');
+    }
+
+    const accountName = describeAccount(account);
+
+    if (current && Number(current.overseerr_user_id) === account.id) {
+      return await message.reply(`You are already linked to the Overseerr account **${accountName}**.`);
+    }
+
+    const owner = getUserMappingByOverseerrId(account.id);
+    if (owner && owner.discord_user_id !== message.author.id.toString()) {
+      return await message.reply('That Overseerr account is already linked to another Discord user. Please contact an admin.');
+    }
+
+    const adminChannelId = process.env.ADMIN_CHANNEL_ID;
+    if (!adminChannelId) {
+      return await message.reply('Account linking is not available on this server. Please ask an admin to map your account.');
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('Account Link Request')
+      .setDescription(`<@${message.author.id}> wants to link their Discord account to an Overseerr account.`)
+      .setColor(0xffff00)
+      .addFields(
+        { name: 'Discord user', value: `${message.author.tag} (\`${message.author.id}\`)`, inline: true },
+        { name: 'Overseerr account', value: `${getOverseerrUserName(account)} (\`${account.id}\`)`, inline: true }
+      )
+      .setTimestamp();
+
+    if (account.email) {
+      embed.addFields({ name: 'Email', value: account.email, inline: true });
+    }
+    if (account.plexUsername) {
+      embed.addFields({ name: 'Plex username', value: account.plexUsername, inline: true });
+    }
+    if (current) {
+      embed.addFields({ name: 'Currently linked to', value: `Overseerr user \`${current.overseerr_user_id}\`` });
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${APPROVE_PREFIX}:${message.author.id}:${account.id}`)
+        .setLabel('Approve')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`${REJECT_PREFIX}:${message.author.id}:${account.id}`)
+        .setLabel('Reject')
+        .setEmoji('❌')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+    const adminChannel = await message.client.channels.fetch(adminChannelId);
+    await adminChannel.send({ embeds: [embed], components: [row], allowedMentions: { parse: [] } });
+
+    await message.reply(`📨 Your request to link to the Overseerr account **${accountName}** was sent to the admins. You'll get a DM once it has been reviewed.`);
+  } finally {
+    // Don't leave email addresses in the channel
+    if (identifier.includes('@') && message.deletable) {
+      await message.delete().catch(error => console.error('Failed to delete !link message:', error));
+    }
+  }
+}
+
+/**
+ * Check whether an interaction is one of the link request buttons
+ */
+export function isLinkInteraction(interaction) {
+  return interaction.isButton() &&
+    [APPROVE_PREFIX, REJECT_PREFIX].some(prefix => interaction.customId.startsWith(`${prefix}:`));
+}
+
+/**
+ * Handle the Approve/Reject buttons of a link request
+ * @param {Object} interaction - Button interaction from the admin channel
+ */
+export async function handleLinkInteraction(interaction) {
+  if (!hasPermission(interaction, 'admin')) {
+    await interaction.reply({ content: "You don't have permission to review link requests.", ephemeral: true });
+    return;
+  }
+
+  const [action, discordUserId, overseerrUserId] = interaction.customId.split(':');
+  const isApproval = action === APPROVE_PREFIX;
+
+  // Looking up the account can take longer than Discord waits for an answer
+  await interaction.deferUpdate();
+
+  let account = null;
+  try {
+    account = await getOverseerrUser(overseerrUserId);
+  } catch (error) {
+    console.error(`Error fetching Overseerr user ${overseerrUserId}:`, error);
+  }
+
+  if (isApproval && !account) {
+    await interaction.followUp({ content: `Overseerr user \`${overseerrUserId}\` could not be found. The link was not created.`, ephemeral: true });
+    return;
+  }
+
+  // The account may have been mapped to someone else since the request was posted
+  const owner = isApproval ? getUserMappingByOverseerrId(overseerrUserId) : null;
+  if (owner && owner.discord_user_id !== discordUserId) {
+    await interaction.followUp({
+      content: `Overseerr user \`${overseerrUserId}\` is now linked to <@${owner.discord_user_id}>. The link was not created. ` +
+        `Remove that mapping with \`!mapping remove ${overseerrUserId}\` first if the account should move, or reject this request.`,
+      ephemeral: true,
+      allowedMentions: { parse: [] }
+    });
+    return;
+  }
+
+  if (isApproval && !setUserMapping(discordUserId, overseerrUserId)) {
+    await interaction.followUp({ content: 'An error occurred while saving the user mapping. Please check the logs.', ephemeral: true });
+    return;
+  }
+
+  const embed = EmbedBuilder.from(interaction.message.embeds[0])
+    .setTitle(isApproval ? 'Account Link Approved' : 'Account Link Rejected')
+    .setColor(isApproval ? 0x00ff00 : 0xff0000)
+    .addFields({ name: isApproval ? 'Approved by' : 'Rejected by', value: `<@${interaction.user.id}>` });
+
+  await interaction.editReply({ embeds: [embed], components: [], allowedMentions: { parse: [] } });
+  console.log(`Link of Discord user ${discordUserId} to Overseerr user ${overseerrUserId} ${isApproval ? 'approved' : 'rejected'} by ${interaction.user.tag}`);
+
+  const accountName = account ? describeAccount(account) : `Overseerr user #${overseerrUserId}`;
+  try {
+    const user = await interaction.client.users.fetch(discordUserId);
+    await user.send(isApproval
+      ? `✅ Your Discord account is now linked to the Overseerr account **${accountName}**. Your requests will be made with this account, and you'll be notified about requests you make on the Overseerr website.`
+      : `❌ Your request to link to the Overseerr account **${accountName}** was not approved. Please contact an admin if you think this is a mistake.`);
+  } catch (error) {
+    console.error(`Failed to DM user ${discordUserId} about their link request:`, error);
+  }
+}
@@ -1,107 +1,295 @@
-import { writeFileSync, readFileSync, existsSync } from 'fs';
-import { resolve } from 'path';
-import dotenv from 'dotenv';
+import { EmbedBuilder } from 'discord.js';
+import { getOverseerrUsers, getOverseerrUserName } from '../services/overseerr.js';
+import { stringSimilarity } from '../utils/stringUtils.js';
+import { showMultiSelect } from '../utils/interactivePicker.js';
+import {
+  getUserMappings,
+  getUserMappingByDiscordId,
+  getUserMappingByOverseerrId,
+  setUserMapping,
+  removeUserMappingByDiscordId,
+  removeUserMappingByOverseerrId
+} from '../services/database.js';
 
 /**
- * Updates the Discord to Overseerr user mapping in the .env file
- * This is an admin command available only in the ADMIN_CHANNEL_ID channel
+ * Manages the Discord to Overseerr user mappings stored in the database
+ * This is an admin command, by default only available in the ADMIN_CHANNEL_ID channel
  */
-export async function handleMapping(message, args) {
-  try {
-    if (!args || args.length < 2) {
-      return await message.reply(
-        '**Usage:** `!mapping <discord_user_id> <overseerr_user_id>`\n' +
-        'Example: `!mapping 265316362900078592 1`\n\n' +
-        'You can find Discord user IDs by enabling developer mode in Discord settings, ' +
-        'then right-clicking on a user and selecting "Copy ID".\n\n' +
-        'Overseerr user IDs can be found in the Overseerr admin dashboard under Users.'
-      );
-    }
 
-    const discordUserId = args[0];
-    const overseerrUserId = args[1];
+const USAGE =
+  '**Usage:**\n' +
+  '`!mapping list` - Show all user mappings\n' +
+  '`!mapping set <discord_user> <overseerr_user_id>` - Map a Discord user to an Overseerr user\n' +
+  '`!mapping remove <discord_user|overseerr_user_id>` - Remove a mapping\n' +
+  '`!mapping suggest` - Suggest mappings by matching Overseerr users to server members\n\n' +
+  'Example: `!mapping set @someone 1` or `!mapping set 265316362900078592 1`\n\n' +
+  'You can find Discord user IDs by enabling developer mode in Discord settings, ' +
+  'then right-clicking on a user and selecting "Copy ID".\n\n' +
+  'Overseerr user IDs can be found in the Overseerr admin dashboard under Users.';
+
+// Mentions are shown in mapping replies without pinging anyone
+const NO_MENTIONS = { parse: [] };
+
+/**
+ * Turn a user mention (<@123> or <@!123>) or a raw ID into a Discord user ID
+ * @param {string} value - Command argument
+ * @returns {string|null} Discord user ID
+ */
+function parseDiscordUserId(value) {
+  const match = value?.match(/^(?:<@!?(\d+)>|(\d+))$/);
+  return match ? match[1] || match[2] : null;
+}
+
+async function listMappings(message) {
+  const mappings = getUserMappings();
+  if (!mappings.length) {
+    return await message.reply('No user mappings yet. Add one with `!mapping set <discord_user> <overseerr_user_id>`.');
+  }
+
+  const lines = mappings.map(mapping => `Overseerr \`${mapping.overseerr_user_id}\` → <@${mapping.discord_user_id}>`);
 
-    // Validate the IDs
-    if (!/^\d+$/.test(discordUserId) || !/^\d+$/.test(overseerrUserId)) {
-      return await message.reply('Both Discord and Overseerr user IDs must be numbers.');
+  // Keep within the embed description limit
+  let description = '';
+  for (const [index, line] of lines.entries()) {
+    if (description.length + line.length + 1 > 4000) {
+      description += `\n…and ${lines.length - index} more`;
+      break;
     }
+    description += `${description ? '\n' : ''}${line}`;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('User Mappings')
+    .setDescription(description)
+    .setColor(0x0099ff)
+    .setFooter({ text: `${mappings.length} mapping${mappings.length === 1 ? '' : 's'}` });
+
+  await message.reply({ embeds: [embed], allowedMentions: NO_MENTIONS });
+}
+
+async function setMapping(message, args) {
+  const discordUserId = parseDiscordUserId(args[0]);
+  const overseerrUserId = args[1];
+
+  if (!discordUserId || !/^\d+$/.test(overseerrUserId || '')) {
+    return await message.reply(USAGE);
+  }
+
+  const previous = getUserMappingByOverseerrId(overseerrUserId);
+  if (!setUserMapping(discordUserId, overseerrUserId)) {
+    return await message.reply('An error occurred while saving the user mapping. Please check the logs.');
+  }
+
+  let reply = `✅ Mapped <@${discordUserId}> to Overseerr user \`${overseerrUserId}\`.`;
+  if (previous && previous.discord_user_id !== discordUserId) {
+    reply += `\nOverseerr user \`${overseerrUserId}\` was previously mapped to <@${previous.discord_user_id}>.`;
+  }
+
+  await message.reply({ content: reply, allowedMentions: NO_MENTIONS });
+}
+
+async function removeMapping(message, args) {
+  const discordUserId = parseDiscordUserId(args[0]);
+  if (!discordUserId) {
+    return await message.reply(USAGE);
+  }
+
+  // Plain numbers can be a Discord or an Overseerr ID, Discord IDs are checked first
+  const byDiscordId = getUserMappingByDiscordId(discordUserId);
+  if (byDiscordId && removeUserMappingByDiscordId(discordUserId)) {
+    return await message.reply({
+      content: `✅ Removed the mapping of <@${discordUserId}> (Overseerr user \`${byDiscordId.overseerr_user_id}\`).`,
+      allowedMentions: NO_MENTIONS
+    });
+  }
+
+  const byOverseerrId = /^\d+$/.test(args[0]) ? getUserMappingByOverseerrId(args[0]) : null;
+  if (byOverseerrId && removeUserMappingByOverseerrId(args[0])) {
+    return await message.reply({
+      content: `✅ Removed the mapping of Overseerr user \`${args[0]}\` (<@${byOverseerrId.discord_user_id}>).`,
+      allowedMentions: NO_MENTIONS
+    });
+  }
+
+  await message.reply(`No mapping found for \`${args[0]}\`.`);
+}
+
+// Minimum similarity for a suggested mapping, and how many suggestions fit in a select menu
+const SUGGESTION_THRESHOLD = 0.7;
+const MAX_SUGGESTIONS = 25;
+
+/**
+ * Normalize a name for comparison, so "John.Smith" and "john smith" match
+ * @param {string} name - Name to normalize
+ * @returns {string} Lowercase name without spaces or punctuation
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Names an Overseerr user may also use on Discord
+ * @param {Object} user - Overseerr user
+ * @returns {Array<string>} Normalized names
+ */
+function getOverseerrNames(user) {
+  const emailName = user.email?.split('@')[0];
+  return [...new Set([user.displayName, user.plexUsername, user.username, emailName].map(normalizeName).filter(Boolean))];
+}
+
+/**
+ * Names a guild member goes by
+ * @param {Object} member - Discord guild member
+ * @returns {Array<string>} Normalized names
+ */
+function getMemberNames(member) {
+  return [...new Set([member.user.username, member.user.globalName, member.nickname].map(normalizeName).filter(Boolean))];
+}
+
+/**
+ * Pair unmapped Overseerr users with unmapped guild members by name similarity
+ * The best scoring pairs are taken first and every user appears in at most one pair
+ * @param {Array} overseerrUsers - Overseerr users
+ * @param {Array} members - Discord guild members
+ * @returns {Array<Object>} { overseerrUser, member, score } sorted by score
+ */
+function findMappingSuggestions(overseerrUsers, members) {
+  const mappings = getUserMappings();
+  const mappedOverseerrIds = new Set(mappings.map(mapping => Number(mapping.overseerr_user_id)));
+  const mappedDiscordIds = new Set(mappings.map(mapping => mapping.discord_user_id));
+
+  const candidates = members
+    .filter(member => !member.user.bot && !mappedDiscordIds.has(member.id))
+    .map(member => ({ member, names: getMemberNames(member) }));
+
+  const pairs = [];
+  for (const overseerrUser of overseerrUsers) {
+    if (mappedOverseerrIds.has(overseerrUser.id)) continue;
 
-    // Find the .env file
-    const envPaths = [
-      '.env',
-      '../.env',
-      '../../.env',
-      resolve(process.cwd(), '.env'),
-      resolve(process.cwd(), '../.env'),
-      '/root/plexassistant/Plexcord/.env'
-    ];
-
-    let envPath = null;
-    for (const path of envPaths) {
-      try {
-        if (existsSync(path)) {
-          envPath = path;
-          break;
+    const overseerrNames = getOverseerrNames(overseerrUser);
+    for (const { member, names } of candidates) {
+      let score = 0;
+      for (const overseerrName of overseerrNames) {
+        for (const memberName of names) {
+          score = Math.max(score, stringSimilarity(overseerrName, memberName));
         }
-      } catch (error) {
-        console.error(`Error checking path ${path}:`, error);
       }
-    }
 
-    if (!envPath) {
-      return await message.reply('Could not find the .env file. Please contact the bot administrator.');
+      if (score >= SUGGESTION_THRESHOLD) {
+        pairs.push({ overseerrUser, member, score });
+      }
     }
+  }
 
-    // Read the current .env file
-    const envContent = readFileSync(envPath, 'utf8');
-    
-    // Parse the current OVERSEERR_USER_MAP value
-    let userMap = {};
-    const mapMatch = envContent.match(/OVERSEERR_USER_MAP=["']?({.*?})["']?/);
-    
-    if (mapMatch && mapMatch[1]) {
-      try {
-        userMap = JSON.parse(mapMatch[1]);
-      } catch (e) {
-        console.error('Error parsing OVERSEERR_USER_MAP:', e);
-        // If parsing fails, start with an empty object
-        userMap = {};
-      }
+  pairs.sort((a, b) => b.score - a.score);
+
+  const usedOverseerrIds = new Set();
+  const usedDiscordIds = new Set();
+  const suggestions = [];
+  for (const pair of pairs) {
+    if (usedOverseerrIds.has(pair.overseerrUser.id) || usedDiscordIds.has(pair.member.id)) continue;
+
+    usedOverseerrIds.add(pair.overseerrUser.id);
+    usedDiscordIds.add(pair.member.id);
+    suggestions.push(pair);
+  }
+
+  return suggestions;
+}
+
+async function suggestMappings(message) {
+  if (!message.guild) {
+    return await message.reply('Mapping suggestions are only available in a server channel.');
+  }
+
+  let overseerrUsers;
+  let members;
+  try {
+    overseerrUsers = await getOverseerrUsers();
+    members = [...(await message.guild.members.fetch()).values()];
+  } catch (error) {
+    console.error('Error fetching users for mapping suggestions:', error);
+    return await message.reply('Could not fetch the Overseerr users or server members. Please try again later.');
+  }
+
+  const allSuggestions = findMappingSuggestions(overseerrUsers, members);
+  if (!allSuggestions.length) {
+    return await message.reply('No likely matches found between unmapped Overseerr users and server members.');
+  }
+
+  const suggestions = allSuggestions.slice(0, MAX_SUGGESTIONS);
+  const lines = suggestions.map(({ overseerrUser, member, score }, index) =>
+    `${index + 1}. **${getOverseerrUserName(overseerrUser)}** (\`${overseerrUser.id}\`) → <@${member.id}> - ${Math.round(score * 100)}%`
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle('Suggested User Mappings')
+    .setDescription(lines.join('\n'))
+    .setColor(0x0099ff)
+    .setFooter({
+      text: allSuggestions.length > suggestions.length
+        ? `Showing the best ${suggestions.length} of ${allSuggestions.length} matches. Run the command again after accepting to see more.`
+        : 'Pick the pairs to map, or accept them all.'
+    });
+
+  const selection = await showMultiSelect(message, {
+    content: { embeds: [embed], allowedMentions: NO_MENTIONS },
+    choices: suggestions.map(({ overseerrUser, member, score }, index) => ({
+      label: `${index + 1}. ${getOverseerrUserName(overseerrUser)} → ${member.displayName}`,
+      description: `${Math.round(score * 100)}% match · Overseerr ${overseerrUser.id} · @${member.user.username}`,
+      value: `${overseerrUser.id}:${member.id}`
+    })),
+    time: 120000,
+    placeholder: 'Select the mappings to create',
+    selectAllLabel: 'Accept all',
+    cancelLabel: 'Cancel'
+  });
+
+  if (selection.status !== 'selected') {
+    return await selection.pickerMsg.edit({
+      content: selection.status === 'timeout' ? 'Mapping suggestions timed out.' : 'No mappings were created.',
+      embeds: [embed]
+    });
+  }
+
+  const created = [];
+  for (const value of selection.values) {
+    const [overseerrUserId, discordUserId] = value.split(':');
+    if (setUserMapping(discordUserId, overseerrUserId)) {
+      created.push(`<@${discordUserId}> → Overseerr \`${overseerrUserId}\``);
     }
+  }
+
+  const failed = selection.values.length - created.length;
+  await message.reply({
+    content: `✅ Created ${created.length} mapping${created.length === 1 ? '' : 's'}:\n${created.join('\n')}` +
+      (failed ? `\n⚠️ ${failed} mapping${failed === 1 ? '' : 's'} could not be saved, check the logs.` : ''),
+    allowedMentions: NO_MENTIONS
+  });
+}
 
-    // Update the mapping
-    userMap[overseerrUserId] = discordUserId;
-    
-    // Update or add the OVERSEERR_USER_MAP in the .env content
-    const newMapValue = JSON.stringify(userMap);
-    let newEnvContent;
-    
-    if (mapMatch) {
-      // Replace existing mapping
-      newEnvContent = envContent.replace(
-        /OVERSEERR_USER_MAP=["']?({.*?})["']?/,
-        `OVERSEERR_USER_MAP='${newMapValue}'`
-      );
-    } else {
-      // Add new mapping if it doesn't exist
-      newEnvContent = envContent + `\nOVERSEERR_USER_MAP='${newMapValue}'`;
+export async function handleMapping(message, args) {
+  try {
+    const subcommand = args?.[0]?.toLowerCase();
+
+    switch (subcommand) {
+      case 'list':
+        return await listMappings(message);
+      case 'set':
+      case 'add':
+        return await setMapping(message, args.slice(1));
+      case 'remove':
+      case 'delete':
+        return await removeMapping(message, args.slice(1));
+      case 'suggest':
+        return await suggestMappings(message);
+      default:
+        // `!mapping <discord_user_id> <overseerr_user_id>` from before the subcommands existed
+        if (args?.length >= 2 && parseDiscordUserId(args[0])) {
+          return await setMapping(message, args);
+        }
+        return await message.reply(USAGE);
     }
-    
-    // Write the updated .env file
-    writeFileSync(envPath, newEnvContent);
-    
-    // Update the current environment variables in memory
-    process.env.OVERSEERR_USER_MAP = newMapValue;
-    
-    // Reload environment variables
-    dotenv.config({ path: envPath, override: true });
-    
-    // Send confirmation
-    await message.reply(
-      `✅ Successfully mapped Discord user \`${discordUserId}\` to Overseerr user \`${overseerrUserId}\`.\n` +
-      `Current mappings: \`${newMapValue}\``
-    );
-    
   } catch (error) {
     console.error('Error handling mapping command:', error);
     await message.reply('An error occurred while updating the user mapping. Please check the logs.');
@@ -0,0 +1,181 @@
+import { EmbedBuilder } from 'discord.js';
+import {
+  getCommandPermissions,
+  addCommandPermission,
+  removeCommandPermission,
+  clearCommandPermissions
+} from '../services/database.js';
+import {
+  PERMISSION_COMMANDS,
+  REGULAR_COMMANDS,
+  ADMIN_COMMANDS,
+  getDefaultChannels
+} from '../services/permissions.js';
+
+/**
+ * Configures who may use each command and in which channels
+ * This is an admin command, see services/permissions.js for how the rules are applied
+ */
+
+const USAGE =
+  '**Usage:**\n' +
+  '`!permissions list` - Show the permissions of every command\n' +
+  '`!permissions add <command> <#channel|@role|@user> ...` - Allow channels, roles or users\n' +
+  '`!permissions remove <command> <#channel|@role|@user> ...` - Remove channels, roles or users\n' +
+  '`!permissions reset <command>` - Go back to the default permissions\n\n' +
+  `Commands: ${PERMISSION_COMMANDS.map(command => `\`${command}\``).join(', ')}, or \`all\` for every regular command.\n` +
+  'Example: `!permissions add request #movie-requests @Members`\n\n' +
+  'A command with channels only works in those channels. A command with roles or users can only be used by them ' +
+  '(and by server administrators). Admin commands without roles or users can only be used by members with the ' +
+  'Administrator or Manage Server permission.';
+
+const NO_MENTIONS = { parse: [] };
+
+const TARGET_FORMATS = {
+  channel: id => `<#${id}>`,
+  role: id => `<@&${id}>`,
+  user: id => `<@${id}>`
+};
+
+/**
+ * Expand the command argument to the commands it refers to
+ * @param {string} value - Command name or 'all'
+ * @returns {Array<string>|null} Command names, null if unknown
+ */
+function parseCommands(value) {
+  const command = value?.toLowerCase().replace(/^!/, '');
+  if (command === 'all') {
+    return REGULAR_COMMANDS;
+  }
+  return PERMISSION_COMMANDS.includes(command) ? [command] : null;
+}
+
+/**
+ * Work out whether an argument is a channel, role or user
+ * Mentions say what they are, plain IDs are looked up in the guild
+ * @param {Object} guild - Discord guild
+ * @param {string} value - Mention or ID
+ * @returns {Object|null} { type, id }
+ */
+function parseTarget(guild, value) {
+  const mention = value.match(/^<(#|@&|@!?)(\d+)>$/);
+  if (mention) {
+    const type = mention[1] === '#' ? 'channel' : mention[1] === '@&' ? 'role' : 'user';
+    return { type, id: mention[2] };
+  }
+
+  if (!/^\d+$/.test(value)) {
+    return null;
+  }
+  if (guild?.channels.cache.has(value)) {
+    return { type: 'channel', id: value };
+  }
+  if (guild?.roles.cache.has(value)) {
+    return { type: 'role', id: value };
+  }
+  return { type: 'user', id: value };
+}
+
+/**
+ * Describe the effective permissions of a command
+ * @param {string} command - Command name
+ * @returns {string} Channels and who may use it
+ */
+function describeCommand(command) {
+  const rules = getCommandPermissions(command);
+  const format = type => rules.filter(rule => rule.type === type).map(rule => TARGET_FORMATS[type](rule.target_id));
+
+  const channels = format('channel');
+  const members = [...format('role'), ...format('user')];
+  const defaultChannels = getDefaultChannels(command).map(id => `<#${id}>`);
+
+  const channelText = channels.length
+    ? channels.join(', ')
+    : `${defaultChannels.join(', ') || 'none'} (default)`;
+
+  const defaultMembers = ADMIN_COMMANDS.includes(command) ? 'Administrator or Manage Server' : 'everyone';
+
+  return `Channels: ${channelText}\nAllowed: ${members.length ? members.join(', ') : defaultMembers}`;
+}
+
+async function listPermissions(message) {
+  const embed = new EmbedBuilder()
+    .setTitle('Command Permissions')
+    .setColor(0x0099ff)
+    .addFields(
+      ...REGULAR_COMMANDS.map(command => ({ name: command, value: describeCommand(command).substring(0, 1024), inline: true })),
+      ...ADMIN_COMMANDS.map(command => ({ name: `${command} (admin)`, value: describeCommand(command).substring(0, 1024), inline: true }))
+    )
+    .setFooter({ text: 'Server administrators can always use commands in their allowed channels' });
+
+  await message.reply({ embeds: [embed], allowedMentions: NO_MENTIONS });
+}
+
+async function updatePermissions(message, action, args) {
+  const commands = parseCommands(args[0]);
+  const targets = args.slice(1).filter(Boolean).map(value => ({ value, target: parseTarget(message.guild, value) }));
+
+  if (!commands || !targets.length) {
+    return await message.reply(USAGE);
+  }
+
+  const invalid = targets.filter(({ target }) => !target).map(({ value }) => value);
+  if (invalid.length) {
+    return await message.reply(`Could not recognize ${invalid.map(value => `\`${value}\``).join(', ')} as a channel, role or user.`);
+  }
+
+  const update = action === 'add' ? addCommandPermission : removeCommandPermission;
+  const changed = [];
+  for (const { target } of targets) {
+    const results = commands.map(command => update(command, target.type, target.id));
+    if (results.some(Boolean)) {
+      changed.push(TARGET_FORMATS[target.type](target.id));
+    }
+  }
+
+  const commandList = commands.map(command => `\`${command}\``).join(', ');
+  if (!changed.length) {
+    return await message.reply(action === 'add'
+      ? `Nothing changed, those are already allowed for ${commandList}.`
+      : `Nothing changed, none of those were set for ${commandList}.`);
+  }
+
+  await message.reply({
+    content: `✅ ${action === 'add' ? 'Allowed' : 'Removed'} ${changed.join(', ')} ${action === 'add' ? 'for' : 'from'} ${commandList}.` +
+      (commands.length === 1 ? `\n${describeCommand(commands[0])}` : ''),
+    allowedMentions: NO_MENTIONS
+  });
+}
+
+async function resetPermissions(message, args) {
+  const commands = parseCommands(args[0]);
+  if (!commands) {
+    return await message.reply(USAGE);
+  }
+
+  const removed = commands.reduce((total, command) => total + clearCommandPermissions(command), 0);
+  await message.reply(`✅ Removed ${removed} rule${removed === 1 ? '' : 's'}, ${commands.map(command => `\`${command}\``).join(', ')} now use${commands.length === 1 ? 's' : ''} the default permissions.`);
+}
+
+export async function handlePermissions(message, args) {
+  try {
+    const subcommand = args?.[0]?.toLowerCase();
+
+    switch (subcommand) {
+      case undefined:
+      case '':
+      case 'list':
+        return await listPermissions(message);
+      case 'add':
+      case 'remove':
+        return await updatePermissions(message, subcommand, args.slice(1));
+      case 'reset':
+        return await resetPermissions(message, args.slice(1));
+      default:
+        return await message.reply(USAGE);
+    }
+  } catch (error) {
+    console.error('Error handling permissions command:', error);
+    await message.reply('An error occurred while updating the command permissions. Please check the logs.');
+  }
+}
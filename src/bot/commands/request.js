@@ -1,8 +1,11 @@
-import { searchTMDB } from '../services/tmdb.js';
-import { createRequest, checkAvailability } from '../services/overseerr.js';
+import { searchTMDB, searchTMDBById, parseTMDBReference } from '../services/tmdb.js';
+import { createRequest, checkAvailability, getSeasonStatuses, RequestRoutingError } from '../services/overseerr.js';
+import { checkRequestQuota, describeQuota } from '../services/quotas.js';
+import { hasPermission } from '../services/permissions.js';
 import { addSubscription } from '../services/database.js';
 import { EmbedBuilder } from 'discord.js';
 import { findSimilarTitles, getPopularTitles } from '../utils/stringUtils.js';
+import { showPicker, showMultiSelect, awaitConfirmation } from '../utils/interactivePicker.js';
 
 /**
  * Safely delete a message with retry
@@ -72,12 +75,171 @@ function getPosterUrl(posterPath) {
   return posterPath ? `https://image.tmdb.org/t/p/w500${posterPath}` : null;
 }
 
+const SEASON_STATUS_LABELS = {
+  available: '✅ Available',
+  partial: '🟡 Partially available',
+  pending: '⏳ Requested',
+  missing: '➕ Not requested'
+};
+
+// Discord select menus hold 25 options, two are used for "All" and "Latest"
+const MAX_SEASON_OPTIONS = 23;
+
+/**
+ * Show the seasons of a TV show with their status and let the user pick which to request
+ * @param {Object} message - The Discord.js message (or interaction adapter)
+ * @param {Object} selected - The selected TMDB result
+ * @param {Array} seasonStatuses - Seasons from getSeasonStatuses
+ * @returns {Promise<Object>} { status, seasons, pickerMsg }
+ */
+async function pickSeasons(message, selected, seasonStatuses) {
+  const requestable = seasonStatuses.filter(season => season.requestable);
+  const latestSeason = seasonStatuses[seasonStatuses.length - 1];
+
+  const seasonList = seasonStatuses
+    .map(season => `**${season.name}**${season.episodeCount ? ` (${season.episodeCount} episodes)` : ''} - ${SEASON_STATUS_LABELS[season.status]}`)
+    .join('\n');
+
+  const embed = createStatusEmbed(
+    selected,
+    `Which seasons of ${selected.name} would you like to request?\n\n${seasonList}`.substring(0, 4096),
+    '#0099ff'
+  );
+
+  const choices = [{
+    label: 'All missing seasons',
+    value: 'all',
+    description: `Request ${requestable.length} season${requestable.length > 1 ? 's' : ''}`
+  }];
+
+  if (latestSeason.requestable) {
+    choices.push({
+      label: 'Latest season',
+      value: 'latest',
+      description: latestSeason.name
+    });
+  }
+
+  for (const season of requestable.slice(-MAX_SEASON_OPTIONS)) {
+    choices.push({
+      label: season.name,
+      value: season.seasonNumber.toString(),
+      description: season.episodeCount ? `${season.episodeCount} episodes` : null
+    });
+  }
+
+  const selection = await showMultiSelect(message, {
+    content: { embeds: [embed] },
+    choices,
+    placeholder: 'Select seasons to request',
+    time: 60000
+  });
+
+  if (selection.status !== 'selected') {
+    return selection;
+  }
+
+  let seasons;
+  if (selection.values.includes('all')) {
+    seasons = requestable.map(season => season.seasonNumber);
+  } else {
+    seasons = selection.values
+      .map(value => value === 'latest' ? latestSeason.seasonNumber : Number(value));
+  }
+
+  return {
+    ...selection,
+    seasons: [...new Set(seasons)].sort((a, b) => a - b)
+  };
+}
+
+// Admin routing flags and the createRequest override each one sets
+const ROUTING_FLAGS = {
+  server: 'server',
+  profile: 'profile',
+  folder: 'rootFolder',
+  language: 'languageProfile'
+};
+
+const ROUTING_FLAG_PATTERN = /(^|\s)--(server|profile|folder|language)=(?:"([^"]*)"|(\S+))/gi;
+const FLAG_4K_PATTERN = /(^|\s)--4k(?=\s|$)/gi;
+
+/**
+ * Split request flags from the search query
+ * Supports --4k and the admin routing flags --server=, --profile=, --folder= and --language=
+ * (values with spaces can be quoted: --profile="HD - 1080p")
+ * @param {string} query - Raw query
+ * @returns {Object} { query, is4k, overrides, flags } where flags is the raw flag text
+ */
+function extractRequestOptions(query) {
+  const overrides = {};
+  const flags = [];
+
+  let rest = (query || '').replace(ROUTING_FLAG_PATTERN, (match, lead, flag, quoted, plain) => {
+    overrides[ROUTING_FLAGS[flag.toLowerCase()]] = (quoted ?? plain).trim();
+    flags.push(match.trim());
+    return ' ';
+  });
+
+  const is4k = rest.match(FLAG_4K_PATTERN) !== null;
+  if (is4k) {
+    rest = rest.replace(FLAG_4K_PATTERN, ' ');
+    flags.push('--4k');
+  }
+
+  return {
+    query: rest.replace(/\s+/g, ' ').trim(),
+    is4k,
+    overrides,
+    flags: flags.join(' ')
+  };
+}
+
+/**
+ * Check whether the command author may request 4K copies
+ * @param {Object} message - The Discord.js message (or interaction adapter)
+ * @returns {string|null} Reason the request is not allowed, or null if it is
+ */
+function get4kDeniedReason(message) {
+  const roleId = process.env.REQUEST_4K_ROLE_ID?.trim();
+  if (!roleId) {
+    return '4K requests are not enabled on this server.';
+  }
+
+  if (!message.member?.roles?.cache?.has(roleId)) {
+    return `You need the <@&${roleId}> role to request 4K copies.`;
+  }
+
+  return null;
+}
+
 export async function handleRequest(message, query, correctionMsg = null) {
+  // Extract the request flags before anything else parses the query
+  const requestOptions = extractRequestOptions(query);
+  const { is4k, overrides, flags } = requestOptions;
+  query = requestOptions.query;
+  
   if (!query) {
     await message.reply('Please provide a title to search for!');
     return;
   }
   
+  if (Object.keys(overrides).length && !hasPermission(message, 'admin')) {
+    await message.reply('❌ Server, profile, folder and language overrides can only be used by admins.');
+    return;
+  }
+  
+  if (is4k) {
+    const deniedReason = get4kDeniedReason(message);
+    if (deniedReason) {
+      await message.reply(`❌ ${deniedReason}`);
+      return;
+    }
+  }
+  
+  // Appended to availability messages so 4K requests are clearly about the 4K copy
+  const qualityLabel = is4k ? ' in 4K' : '';
+  
   let selectionMsg = null; // Define this outside the try block so catch can access it
   
   try {
@@ -95,9 +257,26 @@ export async function handleRequest(message, query, correctionMsg = null) {
       searchQuery = query.replace(/\((movie|tv)\)$/i, '').trim();
     }
     
-    // Search TMDB with the correctly parsed query (NOT the raw query with tags)
-    console.log(`Sending search request for "${searchQuery}" with forcedMediaType=${forcedMediaType}`);
-    let results = await searchTMDB(searchQuery, forcedMediaType);
+    let results;
+    const tmdbReference = parseTMDBReference(searchQuery);
+    
+    if (tmdbReference) {
+      // Title was picked from slash command autocomplete, so skip the free-text search
+      console.log(`Looking up TMDB reference ${tmdbReference.mediaType} ${tmdbReference.mediaId}`);
+      const mediaItem = await searchTMDBById(tmdbReference.mediaId, tmdbReference.mediaType);
+      
+      if (!mediaItem) {
+        await message.reply('Could not find that title on TMDB. Please try searching again.');
+        return;
+      }
+      
+      results = [mediaItem];
+      query = mediaItem.title || mediaItem.name;
+    } else {
+      // Search TMDB with the correctly parsed query (NOT the raw query with tags)
+      console.log(`Sending search request for "${searchQuery}" with forcedMediaType=${forcedMediaType}`);
+      results = await searchTMDB(searchQuery, forcedMediaType);
+    }
     
     // Log the results for debugging
     console.log(`TMDB returned ${results.length} results for query: "${query}"`);
@@ -217,90 +396,46 @@ export async function handleRequest(message, query, correctionMsg = null) {
             `I couldn't find any results for "${query}"\n\n` +
             `**Did you mean:**\n${suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n')}`
           )
-          .setFooter({ text: 'React with a number to select a suggestion or ❌ to cancel' });
-          
-        const suggestionMsg = await message.reply({ embeds: [suggestionsEmbed] });
+          .setFooter({ text: 'Pick a suggestion from the menu below or press Cancel' });
         
-        // Add reaction options
-        for (let i = 0; i < suggestions.length; i++) {
-          await suggestionMsg.react(`${i + 1}️⃣`);
-        }
-        await suggestionMsg.react('❌');
-        
-        // Create reaction collector with improved emoji handling
-        const suggestionFilter = (reaction, user) => {
-          // Add additional logging to debug emoji issues
-          console.log(`Filtering reaction: ${reaction.emoji.name} (${reaction.emoji.identifier}) from user ID ${user.id}`);
-          
-          // The array of valid number emojis (1-3) plus the cancel emoji
-          const validReactions = ['1️⃣', '2️⃣', '3️⃣'].slice(0, suggestions.length);
-          
-          // Handle the cancel emoji separately for more robust detection
-          const isValidNumberEmoji = validReactions.includes(reaction.emoji.name);
-          const isCancelEmoji = reaction.emoji.name === '❌' || reaction.emoji.identifier === '%E2%9D%8C';
-          
-          // Check if it's a valid reaction and from the correct user
-          const isValid = (isValidNumberEmoji || isCancelEmoji) && user.id === message.author.id;
-          console.log(`Reaction valid: ${isValid} (number: ${isValidNumberEmoji}, cancel: ${isCancelEmoji})`);
-          
-          return isValid;
-        };
-        
-        const suggestionCollector = suggestionMsg.createReactionCollector({ 
-          filter: suggestionFilter, 
+        const suggestion = await showPicker(message, {
+          items: suggestions,
+          pageSize: suggestions.length,
           time: 30000,
-          max: 1
+          placeholder: 'Did you mean...',
+          renderPage: () => ({ embeds: [suggestionsEmbed] }),
+          getLabel: (s, i) => `${i + 1}. ${s}`
         });
+        const suggestionMsg = suggestion.pickerMsg;
         
-        suggestionCollector.on('collect', async (reaction) => {
-          try {
-            console.log(`Reaction collected: ${reaction.emoji.name} by user ${reaction.users.cache.last()?.username}`);
-            
-            // Handle suggestion selection
-            if (reaction.emoji.name === '❌') {
-              console.log('Cancel reaction detected, processing cancellation');
-              await message.reply('Search cancelled.');
-              await safeDeleteMessage(suggestionMsg, 'suggestions cancelled');
-              suggestionCollector.stop('cancelled');
-              return;
-            }
-          } catch (error) {
-            console.error('Error handling reaction:', error);
-            await message.reply('There was an error processing your reaction. Please try again.');
-            suggestionCollector.stop('error');
-          }
-          
-          // Get selected suggestion
-          const suggestionIndex = Number(reaction.emoji.name[0]) - 1;
-          const selectedSuggestion = suggestions[suggestionIndex];
-          
-          // Recursively call handleRequest with the suggested title
-          const correctedQuery = suggestions[suggestionIndex];
-          const correctionMsg = await message.reply(`🔍 Searching for "${correctedQuery}" instead...`);
-          const results = await searchTMDB(correctedQuery);
-          
-          if (results.length === 0) {
-            await message.reply(`❌ No results found for "${correctedQuery}" either. Please try another search.`);
-            await safeDeleteMessage(correctionMsg, 'no results for correction');
-            await safeDeleteMessage(suggestionMsg, 'no results for correction');
-            return;
-          }
-          
-          await safeDeleteMessage(suggestionMsg, 'correction completed');
-          await handleRequest(message, correctedQuery, correctionMsg);
-          
-          suggestionCollector.stop('selected');
-        });
+        if (suggestion.status === 'cancelled') {
+          console.log('Suggestion selection cancelled');
+          await message.reply('Search cancelled.');
+          await safeDeleteMessage(suggestionMsg, 'suggestions cancelled');
+          return;
+        }
         
-        suggestionCollector.on('end', async (_, reason) => {
-          // Only show timeout message if it actually timed out
-          if (reason === 'time') {
-            await message.reply('Suggestion selection timed out. Please try again.');
-            // Delete the suggestion message on timeout
-            await safeDeleteMessage(suggestionMsg, 'suggestion timeout');
-          }
-        });
+        if (suggestion.status === 'timeout') {
+          await message.reply('Suggestion selection timed out. Please try again.');
+          // Delete the suggestion message on timeout
+          await safeDeleteMessage(suggestionMsg, 'suggestion timeout');
+          return;
+        }
+        
+        // Recursively call handleRequest with the suggested title
+        const correctedQuery = suggestion.item;
+        const correctionMsg = await message.reply(`🔍 Searching for "${correctedQuery}" instead...`);
+        const correctedResults = await searchTMDB(correctedQuery);
+        
+        if (correctedResults.length === 0) {
+          await message.reply(`❌ No results found for "${correctedQuery}" either. Please try another search.`);
+          await safeDeleteMessage(correctionMsg, 'no results for correction');
+          await safeDeleteMessage(suggestionMsg, 'no results for correction');
+          return;
+        }
         
+        await safeDeleteMessage(suggestionMsg, 'correction completed');
+        await handleRequest(message, `${correctedQuery} ${flags}`.trim(), correctionMsg);
         return;
       } else {
         await message.reply('No results found!');
@@ -308,386 +443,390 @@ export async function handleRequest(message, query, correctionMsg = null) {
       }
     }
 
-    // Create a message with search results header
-    const headerEmbed = new EmbedBuilder()
-      .setColor('#0099ff')
-      .setTitle(`Search Results`)
-      .setDescription(`Found ${results.length} results for "${query}". React with the number of your selection, or ❌ to cancel.`);
-    
-    // Create individual embeds for each result
-    const resultEmbeds = [];
-    resultEmbeds.push(headerEmbed);
-    
-    // First check availability for all results to avoid waiting during the display loop
-    const availabilityChecks = [];
-    for (let i = 0; i < Math.min(maxResults, results.length); i++) {
-      const result = results[i];
-      availabilityChecks.push(checkAvailability(result.media_type, result.id));
-    }
-    
-    // Wait for all availability checks to complete
-    const availabilityResults = await Promise.all(availabilityChecks);
-    
-    for (let i = 0; i < Math.min(maxResults, results.length); i++) {
-      const result = results[i];
-      const availability = availabilityResults[i];
-      const isAvailable = availability && availability.isAvailable;
+    // Build one page of results: a header embed plus an embed with poster for each result
+    const renderResultsPage = async ({ pageItems, startIndex, currentPage, totalPages }) => {
+      const headerEmbed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle(is4k ? 'Search Results (4K)' : 'Search Results')
+        .setDescription(`Found ${results.length} results for "${query}". Pick one from the menu below, or press Cancel.`);
       
-      // Format result info
-      const title = result.media_type === 'tv' ? result.name : result.title;
-      const year = result.media_type === 'tv' 
-        ? (result.first_air_date ? ` (${result.first_air_date.substring(0, 4)})` : '') 
-        : (result.release_date ? ` (${result.release_date.substring(0, 4)})` : '');
-      const type = result.media_type === 'tv' ? 'TV Show' : 'Movie';
+      if (totalPages > 1) {
+        headerEmbed.setFooter({ text: `Page ${currentPage + 1}/${totalPages}` });
+      }
       
-      const overview = result.overview 
-        ? (result.overview.length > 150 ? result.overview.substring(0, 150) + '...' : result.overview) 
-        : 'No overview available';
+      // Check availability for the whole page up front to avoid waiting during the display loop
+      const availabilityResults = await Promise.all(
+        pageItems.map(result => checkAvailability(result.media_type, result.id, { is4k }))
+      );
       
-      // Add availability info to description
-      let description = `Type: ${type}\nOverview: ${overview}`;
+      const resultEmbeds = [headerEmbed];
       
-      // Create individual embed for each result with its own poster
-      const resultEmbed = new EmbedBuilder()
-        .setColor(isAvailable ? '#00FF00' : '#0099ff') // Green for available content, blue for unavailable
-        .setTitle(`${i + 1}. ${title}${year}${isAvailable ? ' ✅' : ''}`)
-        .setDescription(isAvailable 
-          ? `✅ Already available in Plex!\nType: ${type}\nOverview: ${overview}` 
-          : description);
+      pageItems.forEach((result, i) => {
+        const availability = availabilityResults[i];
+        const isAvailable = availability && availability.isAvailable;
         
-      // Add poster thumbnail for each result
-      if (result.poster_path) {
-        resultEmbed.setThumbnail(getPosterUrl(result.poster_path));
-      }
+        // Format result info
+        const title = result.media_type === 'tv' ? result.name : result.title;
+        const year = result.media_type === 'tv' 
+          ? (result.first_air_date ? ` (${result.first_air_date.substring(0, 4)})` : '') 
+          : (result.release_date ? ` (${result.release_date.substring(0, 4)})` : '');
+        const type = result.media_type === 'tv' ? 'TV Show' : 'Movie';
+        
+        const overview = result.overview 
+          ? (result.overview.length > 150 ? result.overview.substring(0, 150) + '...' : result.overview) 
+          : 'No overview available';
+        
+        // Add availability info to description
+        let description = `Type: ${type}\nOverview: ${overview}`;
+        if (!is4k && availability?.isAvailable4k) {
+          description = `Also available in 4K\n${description}`;
+        }
+        
+        // Create individual embed for each result with its own poster
+        const resultEmbed = new EmbedBuilder()
+          .setColor(isAvailable ? '#00FF00' : '#0099ff') // Green for available content, blue for unavailable
+          .setTitle(`${startIndex + i + 1}. ${title}${year}${isAvailable ? ' ✅' : ''}`)
+          .setDescription(isAvailable 
+            ? `✅ Already available in Plex${qualityLabel}!\nType: ${type}\nOverview: ${overview}` 
+            : description);
+          
+        // Add poster thumbnail for each result
+        if (result.poster_path) {
+          resultEmbed.setThumbnail(getPosterUrl(result.poster_path));
+        }
+        
+        resultEmbeds.push(resultEmbed);
+      });
       
-      resultEmbeds.push(resultEmbed);
+      return { embeds: resultEmbeds };
+    };
+
+    const selection = await showPicker(message, {
+      items: results,
+      pageSize: maxResults,
+      time: 60000,
+      placeholder: 'Select a title to request',
+      renderPage: renderResultsPage,
+      getLabel: (result, index) => `${index + 1}. ${result.title || result.name} ${getYear(result)}`.trim(),
+      getDescription: result => result.media_type === 'tv' ? 'TV Show' : 'Movie'
+    });
+    selectionMsg = selection.pickerMsg;
+
+    // Handle cancel selection
+    if (selection.status === 'cancelled') {
+      await safeDeleteMessage(selectionMsg, 'cancelled');
+      await message.reply('Selection cancelled.');
+      return;
     }
 
-    // Send a single message with multiple embeds
-    const selectionMsg = await message.reply({ embeds: resultEmbeds });
-    
-    // Add reaction options
-    for (let i = 0; i < Math.min(maxResults, results.length); i++) {
-      await selectionMsg.react(`${i + 1}️⃣`);
+    if (selection.status === 'timeout') {
+      // Simple timeout message - we don't have a specific selection to show
+      await message.reply('Search results timed out. Please try again.');
+      // Delete the search results message on timeout to keep the chat clean
+      await safeDeleteMessage(selectionMsg, 'request timeout');
+      
+      // Delete correction message if it exists
+      if (correctionMsg) {
+        await safeDeleteMessage(correctionMsg, 'request timeout');
+      }
+      return;
     }
-    await selectionMsg.react('❌');
 
-    // Create reaction collector
-    const filter = (reaction, user) => {
-      const validReactions = ['1️⃣', '2️⃣', '3️⃣', '❌'].slice(0, Math.min(maxResults, results.length) + 1);
-      return validReactions.includes(reaction.emoji.name) && user.id === message.author.id;
-    };
+    // Get selected media item
+    const selected = selection.item;
     
-    const collector = selectionMsg.createReactionCollector({ 
-      filter, 
-      time: 60000, 
-      max: 1 
-    });
+    // Create processing message
+    const processingMsg = await message.reply(`⏳ Processing ${is4k ? '4K ' : ''}request for ${selected.title || selected.name}...`);
 
-    collector.on('collect', async (reaction) => {
-      try {
-        // Handle cancel selection
-        if (reaction.emoji.name === '❌') {
-          await safeDeleteMessage(selectionMsg, 'cancelled');
-          await message.reply('Selection cancelled.');
-          collector.stop('cancelled');
-          return;
-        }
+    try {
+      // Check availability
+      const availability = await checkAvailability(selected.media_type, selected.id, { is4k });
+      
+      // Shows with seasons that can still be requested always go to the season picker,
+      // even when earlier seasons are already in the library
+      const seasonStatuses = selected.media_type === 'tv' ? getSeasonStatuses(availability?.details, is4k) : [];
+      const hasRequestableSeasons = seasonStatuses.some(season => season.requestable);
+      
+      // Handle different availability scenarios
+      if (availability && availability.isAvailable && !hasRequestableSeasons) {
+        // Fully available in Plex
+        const embed = createStatusEmbed(
+          selected,
+          `✅ Good news! ${selected.title || selected.name} is already available in the library${qualityLabel}!`,
+          '#00FF00' // Green for available content
+        );
+        await processingMsg.edit({ content: '', embeds: [embed] });
+        await safeDeleteMessage(selectionMsg, 'all seasons available');
         
-        // Get selected media item
-        const resultIndex = Number(reaction.emoji.name[0]) - 1;
-        const selected = results[resultIndex];
+        if (correctionMsg) {
+          await safeDeleteMessage(correctionMsg, 'request completed - already available');
+        }
+        return;
+      } 
+      // Media is in Sonarr/Radarr but not downloaded yet
+      else if ((availability.inSonarr || availability.inRadarr) && !availability.isAvailable && !hasRequestableSeasons) {
+        let statusMsg = '';
+        let color = '#FFA500'; // Orange for pending content
         
-        // Create processing message
-        const processingMsg = await message.reply(`⏳ Processing request for ${selected.title || selected.name}...`);
-
-        try {
-          // Check availability
-          const availability = await checkAvailability(selected.media_type, selected.id);
-          
-          // Handle different availability scenarios
-          if (availability && availability.isAvailable) {
-            // Fully available in Plex
-            const embed = createStatusEmbed(
-              selected,
-              `✅ Good news! ${selected.title || selected.name} is already available in the library!`,
-              '#00FF00' // Green for available content
-            );
-            await processingMsg.edit({ content: '', embeds: [embed] });
-            await safeDeleteMessage(selectionMsg, 'all seasons available');
-            
-            if (correctionMsg) {
-              await safeDeleteMessage(correctionMsg, 'request completed - already available');
-            }
-            collector.stop('selected');
-            return;
-          } 
-          // Media is in Sonarr/Radarr but not downloaded yet
-          else if ((availability.inSonarr || availability.inRadarr) && !availability.isAvailable) {
-            let statusMsg = '';
-            let color = '#FFA500'; // Orange for pending content
-            
-            // Not released yet (upcoming)
-            if (!availability.isReleased) {
-              if (selected.media_type === 'tv') {
-                const dateStr = availability.firstAired ? 
-                  new Date(availability.firstAired).toLocaleDateString() : 'soon';
-                statusMsg = `⏳ ${selected.name} has already been added to our library!
+        // Not released yet (upcoming)
+        if (!availability.isReleased) {
+          if (selected.media_type === 'tv') {
+            const dateStr = availability.firstAired ? 
+              new Date(availability.firstAired).toLocaleDateString() : 'soon';
+            statusMsg = `⏳ ${selected.name} has already been added to our library${qualityLabel}!
 
 We're waiting for it to be released on ${dateStr}. It will be downloaded automatically once available.\n\nWould you like to subscribe for notifications when it's ready?`;
-              } else {
-                let dateStr = 'soon';
-                if (availability.upcomingDigitalRelease) {
-                  dateStr = new Date(availability.upcomingDigitalRelease).toLocaleDateString();
-                }
-                statusMsg = `⏳ ${selected.title} has already been added to our library!
+          } else {
+            let dateStr = 'soon';
+            if (availability.upcomingDigitalRelease) {
+              dateStr = new Date(availability.upcomingDigitalRelease).toLocaleDateString();
+            }
+            statusMsg = `⏳ ${selected.title} has already been added to our library${qualityLabel}!
 
 We're waiting for the digital release on ${dateStr}. It will be downloaded automatically once available.\n\nWould you like to subscribe for notifications when it's ready?`;
-              }
-            } 
-            // Released but not downloaded yet
-            else {
-              if (availability.notAvailableReason === 'currently_downloading') {
-                statusMsg = `⏳ ${selected.title || selected.name} is currently downloading!
+          }
+        } 
+        // Released but not downloaded yet
+        else {
+          if (availability.notAvailableReason === 'currently_downloading') {
+            statusMsg = `⏳ ${selected.title || selected.name} is currently downloading!
 
 It should be available soon. Would you like to subscribe for notifications when it's ready?`;
-              } else {
-                statusMsg = `⏳ ${selected.title || selected.name} has already been added to our library!
+          } else {
+            statusMsg = `⏳ ${selected.title || selected.name} has already been added to our library${qualityLabel}!
 
 It has been released, but we're still looking for a good quality version. Would you like to subscribe for notifications when it's ready?`;
-              }
-            }
-            
-            const embed = createStatusEmbed(selected, statusMsg, color);
-            await processingMsg.edit({ content: '', embeds: [embed] });
-            
-            // Add reaction options for subscription
-            await processingMsg.react('👍'); // Yes to subscribe
-            await processingMsg.react('👎'); // No to skip subscription
-            
-            // Create a reaction collector for subscription response
-            const subscriptionFilter = (reaction, user) => {
-              return ['👍', '👎'].includes(reaction.emoji.name) && user.id === message.author.id;
-            };
-            
-            const subscriptionCollector = processingMsg.createReactionCollector({
-              filter: subscriptionFilter,
-              time: 60000,
-              max: 1
-            });
-            
-            subscriptionCollector.on('collect', async (reaction) => {
-              try {
-                if (reaction.emoji.name === '👍') {
-                  // User wants to subscribe
-                  const success = await addSubscription(
-                    message.author.id.toString(),
-                    selected.id.toString(),
-                    selected.media_type,
-                    selected.title || selected.name,
-                    selected.media_type === 'tv' // episode_subscription is true for TV shows
-                  );
-                  
-                  if (success) {
-                    const subscribeEmbed = createStatusEmbed(
-                      selected,
-                      `✅ You've been subscribed to ${selected.title || selected.name}! You'll be notified when it becomes available.`,
-                      '#00FF00'
-                    );
-                    await processingMsg.edit({ embeds: [subscribeEmbed] });
-                  } else {
-                    const errorEmbed = createStatusEmbed(
-                      selected,
-                      `❌ There was an error creating your subscription. Please try again later.`,
-                      '#FF0000'
-                    );
-                    await processingMsg.edit({ embeds: [errorEmbed] });
-                  }
-                } else {
-                  // User doesn't want to subscribe
-                  const noSubEmbed = createStatusEmbed(
-                    selected,
-                    `No problem! ${selected.title || selected.name} is being processed, but you won't be notified.`,
-                    '#0099ff'
-                  );
-                  await processingMsg.edit({ embeds: [noSubEmbed] });
-                }
-              } catch (error) {
-                console.error('Error handling subscription reaction:', error);
-                await message.reply('An error occurred while processing your subscription choice.');
-              } finally {
-                await safeDeleteMessage(selectionMsg, 'subscription decision made');
-                if (correctionMsg) {
-                  await safeDeleteMessage(correctionMsg, 'subscription decision made');
-                }
-              }
-            });
-            
-            subscriptionCollector.on('end', async (_, reason) => {
-              if (reason === 'time') {
-                const timeoutEmbed = createStatusEmbed(
-                  selected,
-                  `Subscription choice timed out. ${selected.title || selected.name} is still being processed, but you won't be notified.`,
-                  '#0099ff'
-                );
-                await processingMsg.edit({ embeds: [timeoutEmbed] });
-              }
-            });
-            
-            // Stop the main collector
-            collector.stop('subscription_offered');
-            return;
           }
-
-          // Create request for show or movie
-          if (selected.media_type === 'tv') {
-            // Get the available seasons
-            const requestableSeasons = [];
-            
-            // For TV shows, we need to request which seasons are needed
-            for (let i = 1; i <= 50; i++) {  // Arbitrary limit to 50 seasons
-              // We'll check if the season exists and is not available
-              
-              const seasonAvailability = availability?.seasons?.find(s => s.seasonNumber === i);
-              
-              // If we have no info about this season, assume we've reached the end of the show
-              if (!seasonAvailability && i > 1) break;
-              
-              // Add season if unavailable
-              if (!seasonAvailability || !seasonAvailability.available) {
-                requestableSeasons.push(i);
-              }
-            }
+        }
+        
+        const embed = createStatusEmbed(selected, statusMsg, color);
+        await processingMsg.edit({ content: '', embeds: [embed] });
+        
+        // Ask whether the user wants to subscribe
+        const answer = await awaitConfirmation(processingMsg, message.author.id, {
+          confirmLabel: 'Subscribe',
+          declineLabel: 'No thanks'
+        });
+        
+        try {
+          if (answer === 'confirmed') {
+            // User wants to subscribe
+            const success = await addSubscription(
+              message.author.id.toString(),
+              selected.id.toString(),
+              selected.media_type,
+              selected.title || selected.name,
+              selected.media_type === 'tv' // episode_subscription is true for TV shows
+            );
             
-            // If no seasons to request
-            if (requestableSeasons.length === 0) {
-              const embed = createStatusEmbed(
+            if (success) {
+              const subscribeEmbed = createStatusEmbed(
                 selected,
-                `✅ Good news! All seasons of ${selected.name} are already available in the library!`,
-                '#00FF00' // Green for available content
+                `✅ You've been subscribed to ${selected.title || selected.name}! You'll be notified when it becomes available.`,
+                '#00FF00'
               );
-              await processingMsg.edit({ content: '', embeds: [embed] });
-              // Delete the search results message to keep the chat clean
-              await safeDeleteMessage(selectionMsg, 'all seasons available');
-              
-              // Delete correction message if it exists
-              if (correctionMsg) {
-                await safeDeleteMessage(correctionMsg, 'request completed - all seasons available');
-              }
-              
-              // Stop the collector to prevent timeout message
-              collector.stop('selected');
-              return;
+              await processingMsg.edit({ embeds: [subscribeEmbed] });
+            } else {
+              const errorEmbed = createStatusEmbed(
+                selected,
+                `❌ There was an error creating your subscription. Please try again later.`,
+                '#FF0000'
+              );
+              await processingMsg.edit({ embeds: [errorEmbed] });
             }
-
-            // Create request with specific seasons
-            const discordId = message.author.id.toString();
-            console.log('Making request for Discord user:', {
-              rawId: message.author.id,
-              stringId: discordId,
-              match: discordId === "265316362900078592"
-            });
-            await createRequest({
-              mediaType: selected.media_type,
-              mediaId: selected.id,
-              userId: discordId,
-              seasons: requestableSeasons
-            });
+          } else if (answer === 'declined') {
+            // User doesn't want to subscribe
+            const noSubEmbed = createStatusEmbed(
+              selected,
+              `No problem! ${selected.title || selected.name} is being processed, but you won't be notified.`,
+              '#0099ff'
+            );
+            await processingMsg.edit({ embeds: [noSubEmbed] });
           } else {
-            // Create movie request
-            const discordId = message.author.id.toString();
-            console.log('Making request for Discord user:', {
-              rawId: message.author.id,
-              stringId: discordId,
-              match: discordId === "265316362900078592"
-            });
-            await createRequest({
-              mediaType: selected.media_type,
-              mediaId: selected.id,
-              userId: discordId
-            });
-          }
-
-          // Add subscription to SQLite database
-          const success = await addSubscription(
-            message.author.id.toString(),
-            selected.id.toString(),
-            selected.media_type,
-            selected.title || selected.name,
-            selected.media_type === 'tv' // episode_subscription is true for TV shows
-          );
-
-          if (!success) {
-            console.error('Error adding subscription to database');
-            throw new Error('Failed to add subscription');
-          }
-
-          const embed = createStatusEmbed(
-            selected,
-            `✳️ Request for ${selected.title || selected.name} has been submitted!
-
-You'll be notified when it's available.`,
-            '#0099ff' // Blue for success
-          );
-          await processingMsg.edit({ content: '', embeds: [embed] });
-          
-          // Delete the search results message to keep the chat clean
-          await safeDeleteMessage(selectionMsg, 'request submitted');
-          
-          // Delete correction message if it exists
-          if (correctionMsg) {
-            await safeDeleteMessage(correctionMsg, 'request completed');
+            const timeoutEmbed = createStatusEmbed(
+              selected,
+              `Subscription choice timed out. ${selected.title || selected.name} is still being processed, but you won't be notified.`,
+              '#0099ff'
+            );
+            await processingMsg.edit({ embeds: [timeoutEmbed] });
           }
-          
-          // Stop the collector to prevent timeout message
-          collector.stop('selected');
-          
         } catch (error) {
-          console.error('Error processing request:', error);
-          const errorEmbed = createStatusEmbed(
-            selected,
-            `❌ Error processing request for ${selected.title || selected.name}.
-
-Please try again later.`,
-            '#FF0000' // Red for errors
-          );
-          await processingMsg.edit({ content: '', embeds: [errorEmbed] });
-          // Delete the search results message to keep the chat clean
-          await safeDeleteMessage(selectionMsg, 'error processing');
-          
-          // Delete correction message if it exists
+          console.error('Error handling subscription choice:', error);
+          await message.reply('An error occurred while processing your subscription choice.');
+        } finally {
+          await safeDeleteMessage(selectionMsg, 'subscription decision made');
           if (correctionMsg) {
-            await safeDeleteMessage(correctionMsg, 'request error');
+            await safeDeleteMessage(correctionMsg, 'subscription decision made');
           }
-          
-          // Stop the collector to prevent timeout message
-          collector.stop('error');
         }
-      } catch (error) {
-        console.error('Error handling reaction:', error);
-        await message.reply('An error occurred while processing your selection. Please try again.');
+        return;
+      }
+
+      // If every season is already available or requested
+      if (selected.media_type === 'tv' && seasonStatuses.length && !hasRequestableSeasons) {
+        const embed = createStatusEmbed(
+          selected,
+          `✅ Good news! All seasons of ${selected.name} are already available or requested${qualityLabel}!`,
+          '#00FF00' // Green for available content
+        );
+        await processingMsg.edit({ content: '', embeds: [embed] });
+        // Delete the search results message to keep the chat clean
+        await safeDeleteMessage(selectionMsg, 'all seasons available');
         
         // Delete correction message if it exists
         if (correctionMsg) {
-          await safeDeleteMessage(correctionMsg, 'reaction error');
+          await safeDeleteMessage(correctionMsg, 'request completed - all seasons available');
         }
+        return;
       }
-    });
 
-    collector.on('end', async (_, reason) => {
-      console.log('Request collector ended with reason:', reason);
-      if (reason === 'time') {
-        // Simple timeout message - we don't have a specific selection to show
-        await message.reply('Search results timed out. Please try again.');
-        // Delete the search results message on timeout to keep the chat clean
-        await safeDeleteMessage(selectionMsg, 'request timeout');
+      const rejectOverQuota = async (quota) => {
+        console.log(`User ${message.author.id} is over their ${selected.media_type} request quota (${quota.used}/${quota.limit})`);
+        const embed = createStatusEmbed(
+          selected,
+          `⏳ ${describeQuota(quota, selected.media_type)}`,
+          '#FFA500' // Orange for quota limits
+        );
+        await processingMsg.edit({ content: '', embeds: [embed] });
+        await safeDeleteMessage(selectionMsg, 'quota exceeded');
         
-        // Delete correction message if it exists
         if (correctionMsg) {
-          await safeDeleteMessage(correctionMsg, 'request timeout');
+          await safeDeleteMessage(correctionMsg, 'request quota exceeded');
         }
+      };
+
+      // Enforce the requester's quota before anything is sent to Overseerr
+      let quota = checkRequestQuota(message, selected.media_type);
+      if (!quota.allowed) {
+        await rejectOverQuota(quota);
+        return;
       }
-    });
+
+      // Create request for show or movie
+      let requestedSeasons = null;
+      if (selected.media_type === 'tv') {
+        if (seasonStatuses.length) {
+          const seasonSelection = await pickSeasons(message, selected, seasonStatuses);
+          await safeDeleteMessage(seasonSelection.pickerMsg, `season selection ${seasonSelection.status}`);
+          
+          if (seasonSelection.status !== 'selected') {
+            const embed = createStatusEmbed(
+              selected,
+              seasonSelection.status === 'timeout'
+                ? 'Season selection timed out. Please try again.'
+                : 'Request cancelled.',
+              '#FF0000'
+            );
+            await processingMsg.edit({ content: '', embeds: [embed] });
+            await safeDeleteMessage(selectionMsg, `season selection ${seasonSelection.status}`);
+            return;
+          }
+          
+          requestedSeasons = seasonSelection.seasons;
+        } else {
+          // Overseerr didn't return season information, fall back to the first season
+          console.warn(`No season information for ${selected.name}, requesting season 1`);
+          requestedSeasons = [1];
+        }
+
+        // The season picker stays open for up to a minute, check again so requests made in
+        // the meantime (e.g. from a second !request) count
+        quota = checkRequestQuota(message, selected.media_type);
+        if (!quota.allowed) {
+          await rejectOverQuota(quota);
+          return;
+        }
+
+        // Create request with specific seasons
+        const discordId = message.author.id.toString();
+        console.log('Making request for Discord user:', {
+          rawId: message.author.id,
+          stringId: discordId,
+          match: discordId === "265316362900078592"
+        });
+        await createRequest({
+          mediaType: selected.media_type,
+          mediaId: selected.id,
+          userId: discordId,
+          mediaTitle: selected.name,
+          seasons: requestedSeasons,
+          is4k,
+          overrides
+        });
+      } else {
+        // Create movie request
+        const discordId = message.author.id.toString();
+        console.log('Making request for Discord user:', {
+          rawId: message.author.id,
+          stringId: discordId,
+          match: discordId === "265316362900078592"
+        });
+        await createRequest({
+          mediaType: selected.media_type,
+          mediaId: selected.id,
+          userId: discordId,
+          mediaTitle: selected.title,
+          is4k,
+          overrides
+        });
+      }
+
+      // Add subscription to SQLite database
+      const success = await addSubscription(
+        message.author.id.toString(),
+        selected.id.toString(),
+        selected.media_type,
+        selected.title || selected.name,
+        selected.media_type === 'tv' // episode_subscription is true for TV shows
+      );
+
+      if (!success) {
+        console.error('Error adding subscription to database');
+        throw new Error('Failed to add subscription');
+      }
+
+      // Count the new request towards the quota shown to the requester
+      const remainingQuota = quota.limit === null ? null : checkRequestQuota(message, selected.media_type);
+
+      const embed = createStatusEmbed(
+        selected,
+        `✳️ ${is4k ? '4K r' : 'R'}equest for ${selected.title || selected.name}${requestedSeasons ? ` (Season${requestedSeasons.length > 1 ? 's' : ''} ${requestedSeasons.join(', ')})` : ''} has been submitted!
+
+You'll be notified when it's available.${remainingQuota ? `
+
+${describeQuota(remainingQuota, selected.media_type)}` : ''}`,
+        '#0099ff' // Blue for success
+      );
+      await processingMsg.edit({ content: '', embeds: [embed] });
+      
+      // Delete the search results message to keep the chat clean
+      await safeDeleteMessage(selectionMsg, 'request submitted');
+      
+      // Delete correction message if it exists
+      if (correctionMsg) {
+        await safeDeleteMessage(correctionMsg, 'request completed');
+      }
+      
+    } catch (error) {
+      console.error('Error processing request:', error);
+      const errorEmbed = createStatusEmbed(
+        selected,
+        error instanceof RequestRoutingError
+          ? `❌ Could not request ${selected.title || selected.name}: ${error.message}`
+          : `❌ Error processing request for ${selected.title || selected.name}.
+
+Please try again later.`,
+        '#FF0000' // Red for errors
+      );
+      await processingMsg.edit({ content: '', embeds: [errorEmbed] });
+      // Delete the search results message to keep the chat clean
+      await safeDeleteMessage(selectionMsg, 'error processing');
+      
+      // Delete correction message if it exists
+      if (correctionMsg) {
+        await safeDeleteMessage(correctionMsg, 'request error');
+      }
+    }
 
   } catch (error) {
     console.error('Error handling request:', error);
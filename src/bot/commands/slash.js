@@ -0,0 +1,236 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { handleRequest } from './request.js';
+import { handleSubscribe } from './subscribe.js';
+import { handleList } from './list.js';
+import { handleUnsubscribe } from './unsubscribe.js';
+import { handleMapping } from './mapping.js';
+import { searchTMDB, parseTMDBReference } from '../services/tmdb.js';
+import { createInteractionAdapter } from '../utils/interactionAdapter.js';
+
+const mediaTypeChoices = [
+  { name: 'Movie', value: 'movie' },
+  { name: 'TV Show', value: 'tv' }
+];
+
+/**
+ * Application command definitions registered with Discord on startup
+ */
+export const slashCommands = [
+  new SlashCommandBuilder()
+    .setName('request')
+    .setDescription('Search and request a movie or TV show')
+    .addStringOption(option =>
+      option.setName('title')
+        .setDescription('Title to search for')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('type')
+        .setDescription('Only show movies or TV shows')
+        .addChoices(...mediaTypeChoices))
+    .addBooleanOption(option =>
+      option.setName('4k')
+        .setDescription('Request the 4K version (requires the 4K request role)'))
+    .addStringOption(option =>
+      option.setName('server')
+        .setDescription('Radarr/Sonarr server name or ID (admins only)'))
+    .addStringOption(option =>
+      option.setName('profile')
+        .setDescription('Quality profile name or ID (admins only)'))
+    .addStringOption(option =>
+      option.setName('root_folder')
+        .setDescription('Root folder path (admins only)'))
+    .addStringOption(option =>
+      option.setName('language_profile')
+        .setDescription('Sonarr language profile name or ID (admins only)')),
+  new SlashCommandBuilder()
+    .setName('subscribe')
+    .setDescription('Get notified when a movie or TV show becomes available')
+    .addStringOption(option =>
+      option.setName('title')
+        .setDescription('Title to search for')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('type')
+        .setDescription('Only show movies or TV shows')
+        .addChoices(...mediaTypeChoices))
+    .addBooleanOption(option =>
+      option.setName('episodes')
+        .setDescription('Get notified about every new episode (TV shows only)')),
+  new SlashCommandBuilder()
+    .setName('list')
+    .setDescription('View your current subscriptions'),
+  new SlashCommandBuilder()
+    .setName('unsubscribe')
+    .setDescription('Remove one of your subscriptions'),
+  new SlashCommandBuilder()
+    .setName('mapping')
+    .setDescription('Manage Discord to Overseerr user mappings (admins only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('Show all user mappings'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('set')
+        .setDescription('Map a Discord user to an Overseerr user')
+        .addUserOption(option =>
+          option.setName('user')
+            .setDescription('Discord user to map')
+            .setRequired(true))
+        .addIntegerOption(option =>
+          option.setName('overseerr_id')
+            .setDescription('Overseerr user ID')
+            .setRequired(true)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('suggest')
+        .setDescription('Suggest mappings by matching Overseerr users to server members'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('remove')
+        .setDescription('Remove the mapping of a Discord user or an Overseerr user')
+        .addUserOption(option =>
+          option.setName('user')
+            .setDescription('Discord user to unmap'))
+        .addIntegerOption(option =>
+          option.setName('overseerr_id')
+            .setDescription('Overseerr user ID to unmap')
+            .setMinValue(1)))
+];
+
+/**
+ * Register the slash commands with Discord
+ * @param {Object} client - The Discord.js client (must be ready)
+ */
+export async function registerSlashCommands(client) {
+  try {
+    const commandData = slashCommands.map(command => command.toJSON());
+    await client.application.commands.set(commandData);
+    console.log(`Registered ${commandData.length} slash commands`);
+  } catch (error) {
+    console.error('Error registering slash commands:', error);
+  }
+}
+
+/**
+ * Build the query string the prefix handlers expect from the slash command options
+ * @param {Object} options - Interaction options resolver
+ * @returns {string} Query in the same format as the `!` commands
+ */
+function buildQuery(options) {
+  let query = options.getString('title', true).trim();
+
+  // Autocomplete picks already carry their media type
+  const mediaType = options.getString('type');
+  if (mediaType && !parseTMDBReference(query)) {
+    query += ` (${mediaType})`;
+  }
+
+  if (options.getBoolean('episodes')) {
+    query += ' -e';
+  }
+
+  if (options.getBoolean('4k')) {
+    query += ' --4k';
+  }
+
+  // Admin routing overrides use the same flags as `!request`
+  const routingOptions = { server: 'server', profile: 'profile', root_folder: 'folder', language_profile: 'language' };
+  for (const [optionName, flag] of Object.entries(routingOptions)) {
+    const value = options.getString(optionName);
+    if (value) {
+      query += ` --${flag}="${value.replace(/"/g, '')}"`;
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Suggest titles from TMDB while the user types into a title option
+ * Each suggestion's value is a TMDB reference so the handler can skip the free-text search
+ * @param {Object} interaction - The Discord.js autocomplete interaction
+ */
+export async function handleAutocomplete(interaction) {
+  try {
+    const focused = interaction.options.getFocused(true);
+    const query = focused.value.trim();
+
+    if (focused.name !== 'title' || query.length < 2) {
+      await interaction.respond([]);
+      return;
+    }
+
+    // Episode subscriptions only make sense for TV shows
+    const mediaType = interaction.options.getString('type') ||
+      (interaction.options.getBoolean('episodes') ? 'tv' : null);
+    const results = await searchTMDB(query, mediaType);
+
+    const choices = results.slice(0, 25).map(result => {
+      const title = result.title || result.name;
+      const date = result.release_date || result.first_air_date;
+      const year = date ? ` (${date.substring(0, 4)})` : '';
+      const type = result.media_type === 'tv' ? 'TV Show' : 'Movie';
+      // Discord limits choice names to 100 characters
+      const suffix = `${year} • ${type}`;
+
+      return {
+        name: `${title.substring(0, 100 - suffix.length)}${suffix}`,
+        value: `tmdb:${result.media_type}:${result.id}`
+      };
+    });
+
+    await interaction.respond(choices);
+  } catch (error) {
+    console.error('Error handling autocomplete:', error);
+    await interaction.respond([]).catch(console.error);
+  }
+}
+
+/**
+ * Turn /mapping subcommand options into the arguments of `!mapping`
+ * @param {Object} options - Interaction options resolver
+ * @returns {Array<string>} Command arguments
+ */
+function buildMappingArgs(options) {
+  const subcommand = options.getSubcommand();
+  const userId = options.getUser('user')?.id;
+  const overseerrId = options.getInteger('overseerr_id')?.toString();
+
+  if (subcommand === 'set') {
+    return ['set', userId, overseerrId];
+  }
+  if (subcommand === 'remove') {
+    return ['remove', userId || overseerrId].filter(Boolean);
+  }
+  return [subcommand];
+}
+
+/**
+ * Route a slash command to the same handler used by the matching `!` command
+ * @param {Object} interaction - The Discord.js command interaction
+ */
+export async function handleSlashCommand(interaction) {
+  await interaction.deferReply();
+  const message = createInteractionAdapter(interaction);
+
+  switch (interaction.commandName) {
+    case 'request':
+      await handleRequest(message, buildQuery(interaction.options));
+      break;
+    case 'subscribe':
+      await handleSubscribe(message, buildQuery(interaction.options));
+      break;
+    case 'list':
+      await handleList(message);
+      break;
+    case 'unsubscribe':
+      await handleUnsubscribe(message);
+      break;
+    case 'mapping':
+      await handleMapping(message, buildMappingArgs(interaction.options));
+      break;
+    default:
+      await message.reply('Unknown command.');
+      break;
+  }
+}
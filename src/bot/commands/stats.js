@@ -1,11 +1,154 @@
-// Minimal stubs for removed functionality
+import { EmbedBuilder } from 'discord.js';
+import { getDownloadStats } from '../services/database.js';
+import { formatBytes } from '../utils/stringUtils.js';
+
+/**
+ * Download statistics from the Sonarr and Radarr events recorded in download_history
+ * This is an admin command, by default only available in the ADMIN_CHANNEL_ID channel
+ */
+
+// Longest custom period in days, anything longer is what `all` is for
+const MAX_DAYS = 3650;
+
+const USAGE =
+  '**Usage:** `!stats [period]`\n' +
+  `Period: \`today\`, \`week\` (default), \`month\`, \`year\`, \`all\` or a number of days up to ${MAX_DAYS} like \`14d\`\n` +
+  'Example: `!stats month`';
+
+const PERIODS = {
+  today: { days: 1, label: 'Last 24 hours' },
+  day: { days: 1, label: 'Last 24 hours' },
+  week: { days: 7, label: 'Last 7 days' },
+  month: { days: 30, label: 'Last 30 days' },
+  year: { days: 365, label: 'Last 365 days' },
+  all: { days: null, label: 'All time' }
+};
+
+const DEFAULT_PERIOD = 'week';
+
+// Rows shown in the top series, busiest days and download clients lists
+const TOP_LIMIT = 5;
+
+const EVENT_LABELS = {
+  grab: 'Grabbed',
+  download: 'Downloaded',
+  upgrade: 'Upgraded',
+  delete: 'Deleted'
+};
+
+/**
+ * Turn the period argument into a number of days
+ * @param {string} [value] - Period name or a number of days, optionally followed by 'd', the default period when empty
+ * @returns {Object|null} { days, label }, days is null for all time
+ */
+function parsePeriod(value) {
+  const period = (value || DEFAULT_PERIOD).toLowerCase();
+  if (PERIODS[period]) {
+    return PERIODS[period];
+  }
+
+  const match = period.match(/^(\d+)d?$/);
+  const days = match ? Number(match[1]) : 0;
+  return days > 0 && days <= MAX_DAYS ? { days, label: `Last ${days} day${days === 1 ? '' : 's'}` } : null;
+}
+
+/**
+ * Describe the event counts of one source
+ * @param {Array} counts - { source, event_type, count } rows
+ * @param {string} source - 'sonarr' or 'radarr'
+ * @returns {string} One line per event type
+ */
+function describeCounts(counts, source) {
+  const lines = Object.entries(EVENT_LABELS).map(([eventType, label]) => {
+    const count = counts.find(row => row.source === source && row.event_type === eventType)?.count || 0;
+    return `${label}: **${count}**`;
+  });
+  return lines.join('\n');
+}
+
+function getSeriesName(title) {
+  return title.replace(/ - (S\d+E\d+\s*)+$/, '');
+}
+
+function formatDay(day) {
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+/**
+ * Build the statistics embed
+ * @param {Object} stats - Result of getDownloadStats
+ * @param {string} periodLabel - Description of the period
+ * @returns {EmbedBuilder}
+ */
+function createStatsEmbed(stats, periodLabel) {
+  const countOf = eventType => stats.counts
+    .filter(row => row.event_type === eventType)
+    .reduce((total, row) => total + row.count, 0);
+
+  const downloads = countOf('download');
+  const upgrades = countOf('upgrade');
+  const imports = downloads + upgrades;
+  const upgradeRatio = imports
+    ? `${Math.round((upgrades / imports) * 100)}% (${upgrades} of ${imports} imports)`
+    : 'No imports';
+
+  const list = (rows, format) => rows.length
+    ? rows.map((row, index) => `${index + 1}. ${format(row)}`).join('\n').substring(0, 1024)
+    : 'None';
+
+  return new EmbedBuilder()
+    .setTitle('📊 Download Statistics')
+    .setDescription(`**${periodLabel}**`)
+    .setColor(0x0099ff)
+    .addFields(
+      { name: 'Sonarr (episodes)', value: describeCounts(stats.counts, 'sonarr'), inline: true },
+      { name: 'Radarr (movies)', value: describeCounts(stats.counts, 'radarr'), inline: true },
+      { name: '\u200b', value: '\u200b', inline: true },
+      { name: 'Total size', value: formatBytes(stats.totalBytes), inline: true },
+      { name: 'Upgrade ratio', value: upgradeRatio, inline: true },
+      { name: '\u200b', value: '\u200b', inline: true },
+      {
+        name: 'Top series',
+        value: list(stats.topSeries, row => `${getSeriesName(row.title)} - ${row.episodes} episode${row.episodes === 1 ? '' : 's'}`)
+      },
+      {
+        name: 'Busiest days',
+        value: list(stats.busiestDays, row => `${formatDay(row.day)} - ${row.count} import${row.count === 1 ? '' : 's'}`),
+        inline: true
+      },
+      {
+        name: 'Download clients',
+        value: list(stats.clients, row => `${row.client} - ${row.count} grab${row.count === 1 ? '' : 's'}`),
+        inline: true
+      }
+    )
+    .setFooter({ text: 'Imports are completed downloads and upgrades, times are in UTC' })
+    .setTimestamp();
+}
+
 export async function handleStats(message, args = []) {
   try {
-    if (message && message.reply) {
-      await message.reply('Stats functionality has been removed from PlexMate.');
+    // Extra spaces in the message leave empty arguments
+    const period = parsePeriod(args.map(arg => arg.trim()).find(Boolean));
+    if (!period) {
+      return await message.reply(USAGE);
+    }
+
+    const stats = getDownloadStats(period.days, TOP_LIMIT);
+    if (!stats) {
+      return await message.reply('An error occurred while reading the download history. Please check the logs.');
     }
+
+    if (!stats.counts.length) {
+      return await message.reply(`No Sonarr or Radarr activity has been recorded${period.days ? ` in the ${period.label.toLowerCase()}` : ''}.`);
+    }
+
+    await message.reply({ embeds: [createStatsEmbed(stats, period.label)] });
   } catch (error) {
     console.error('Error in handleStats:', error);
+    await message.reply('An error occurred while building the statistics. Please check the logs.');
   }
 }
 
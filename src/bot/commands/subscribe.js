@@ -1,8 +1,9 @@
-import { searchTMDB } from '../services/tmdb.js';
+import { searchTMDB, searchTMDBById, parseTMDBReference } from '../services/tmdb.js';
 import { EmbedBuilder } from 'discord.js';
 import { addSubscription, getSubscriptions } from '../services/database.js';
 import { checkAvailability, checkIfS1E1Exists } from '../services/overseerr.js';
 import { findSimilarTitles, getPopularTitles } from '../utils/stringUtils.js';
+import { showPicker, awaitConfirmation } from '../utils/interactivePicker.js';
 
 /**
  * Safely delete a message with retry
@@ -82,7 +83,24 @@ export async function handleSubscribe(message, query, correctionMsg = null) {
     
     // Force TV search if episode subscription - episode subscriptions always require TV shows
     let mediaTypeToForce = isEpisodeSubscription ? 'tv' : forcedMediaType;
-    let results = await searchTMDB(searchQuery, mediaTypeToForce);
+    let results;
+    const tmdbReference = parseTMDBReference(searchQuery);
+    
+    if (tmdbReference) {
+      // Title was picked from slash command autocomplete, so skip the free-text search
+      console.log(`Looking up TMDB reference ${tmdbReference.mediaType} ${tmdbReference.mediaId}`);
+      const mediaItem = await searchTMDBById(tmdbReference.mediaId, tmdbReference.mediaType);
+      
+      if (!mediaItem) {
+        await message.reply('Could not find that title on TMDB. Please try searching again.');
+        return;
+      }
+      
+      results = [mediaItem];
+      searchQuery = mediaItem.title || mediaItem.name;
+    } else {
+      results = await searchTMDB(searchQuery, mediaTypeToForce);
+    }
     
     // Log the results for debugging
     console.log(`TMDB returned ${results.length} results for subscribe query: "${searchQuery}"`);
@@ -131,82 +149,38 @@ export async function handleSubscribe(message, query, correctionMsg = null) {
             `I couldn't find any results for "${searchQuery}"\n\n` +
             `**Did you mean:**\n${suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n')}`
           )
-          .setFooter({ text: 'React with a number to select a suggestion or ❌ to cancel' });
-          
-        const suggestionMsg = await message.reply({ embeds: [suggestionsEmbed] });
-        
-        // Add reaction options
-        for (let i = 0; i < suggestions.length; i++) {
-          await suggestionMsg.react(`${i + 1}️⃣`);
-        }
-        await suggestionMsg.react('❌');
-        
-        // Create reaction collector with improved emoji handling
-        const suggestionFilter = (reaction, user) => {
-          // Add additional logging to debug emoji issues
-          console.log(`Subscribe - Filtering reaction: ${reaction.emoji.name} (${reaction.emoji.identifier}) from user ID ${user.id}`);
-          
-          // The array of valid number emojis (1-3) plus the cancel emoji
-          const validReactions = ['1️⃣', '2️⃣', '3️⃣'].slice(0, suggestions.length);
-          
-          // Handle the cancel emoji separately for more robust detection
-          const isValidNumberEmoji = validReactions.includes(reaction.emoji.name);
-          const isCancelEmoji = reaction.emoji.name === '❌' || reaction.emoji.identifier === '%E2%9D%8C';
-          
-          // Check if it's a valid reaction and from the correct user
-          const isValid = (isValidNumberEmoji || isCancelEmoji) && user.id === message.author.id;
-          console.log(`Subscribe - Reaction valid: ${isValid} (number: ${isValidNumberEmoji}, cancel: ${isCancelEmoji})`);
-          
-          return isValid;
-        };
+          .setFooter({ text: 'Pick a suggestion from the menu below or press Cancel' });
         
-        const suggestionCollector = suggestionMsg.createReactionCollector({ 
-          filter: suggestionFilter, 
+        const suggestion = await showPicker(message, {
+          items: suggestions,
+          pageSize: suggestions.length,
           time: 30000,
-          max: 1
+          placeholder: 'Did you mean...',
+          renderPage: () => ({ embeds: [suggestionsEmbed] }),
+          getLabel: (s, i) => `${i + 1}. ${s}`
         });
+        const suggestionMsg = suggestion.pickerMsg;
         
-        suggestionCollector.on('collect', async (reaction) => {
-          try {
-            console.log(`Subscribe - Reaction collected: ${reaction.emoji.name} by user ${reaction.users.cache.last()?.username}`);
-            
-            // Handle suggestion selection
-            if (reaction.emoji.name === '❌') {
-              console.log('Subscribe - Cancel reaction detected, processing cancellation');
-              await message.reply('Search cancelled.');
-              await safeDeleteMessage(suggestionMsg, 'suggestions cancelled');
-              suggestionCollector.stop('cancelled');
-              return;
-            }
-          } catch (error) {
-            console.error('Subscribe - Error handling reaction:', error);
-            await message.reply('There was an error processing your reaction. Please try again.');
-            suggestionCollector.stop('error');
-          }
-          
-          // Get selected suggestion
-          const suggestionIndex = Number(reaction.emoji.name[0]) - 1;
-          const selectedSuggestion = suggestions[suggestionIndex];
-          
-          // Recursively call handleSubscribe with the suggested title
-          await safeDeleteMessage(suggestionMsg, 'suggestion selected');
-          const correctionMsg = await message.reply(`🔍 Searching for "${selectedSuggestion}" instead...`);
-          
-          // Add this line to the handleSubscribe function to track and delete correction messages
-          await handleSubscribe(message, selectedSuggestion + (isEpisodeSubscription ? ' -e' : ''), correctionMsg);
-          
-          suggestionCollector.stop('selected');
-        });
+        if (suggestion.status === 'cancelled') {
+          console.log('Subscribe - Suggestion selection cancelled');
+          await message.reply('Search cancelled.');
+          await safeDeleteMessage(suggestionMsg, 'suggestions cancelled');
+          return;
+        }
         
-        suggestionCollector.on('end', async (_, reason) => {
-          // Only show timeout message if it actually timed out
-          if (reason === 'time') {
-            await message.reply('Suggestion selection timed out. Please try again.');
-            // Delete the suggestion message on timeout
-            await safeDeleteMessage(suggestionMsg, 'suggestion timeout');
-          }
-        });
+        if (suggestion.status === 'timeout') {
+          await message.reply('Suggestion selection timed out. Please try again.');
+          // Delete the suggestion message on timeout
+          await safeDeleteMessage(suggestionMsg, 'suggestion timeout');
+          return;
+        }
         
+        // Recursively call handleSubscribe with the suggested title
+        const selectedSuggestion = suggestion.item;
+        await safeDeleteMessage(suggestionMsg, 'suggestion selected');
+        const correctionMsg = await message.reply(`🔍 Searching for "${selectedSuggestion}" instead...`);
+        
+        await handleSubscribe(message, selectedSuggestion + (isEpisodeSubscription ? ' -e' : ''), correctionMsg);
         return;
       } else {
         await message.reply('No results found!');
@@ -215,276 +189,254 @@ export async function handleSubscribe(message, query, correctionMsg = null) {
     }
 
     // Show search results
-    // Create a message with search results header
-    const headerEmbed = new EmbedBuilder()
-      .setColor('#0099ff')
-      .setTitle('Search Results')
-      .setDescription(`Found ${results.length} results for "${searchQuery}".\nReact with the number of your selection or ❌ to cancel.`);
-    
-    // Create individual embeds for each result
-    const resultEmbeds = [];
-    resultEmbeds.push(headerEmbed);
-    
-    // Add each result with its own embed and thumbnail
-    for (let i = 0; i < Math.min(5, results.length); i++) {
-      const result = results[i];
-      const title = result.title || result.name;
-      const date = result.release_date || result.first_air_date;
-      const year = date ? `(${date.substring(0, 4)})` : '';
-      const resultType = result.media_type === 'movie' ? 'Movie' : 'TV Show';
-      const overview = result.overview ? result.overview.substring(0, 100) + '...' : 'No overview available';
-      
-      // Create individual embed for each result with its own poster
-      const resultEmbed = new EmbedBuilder()
+    // Build one page of results: a header embed plus an embed with poster for each result
+    const renderResultsPage = ({ pageItems, startIndex, currentPage, totalPages }) => {
+      const headerEmbed = new EmbedBuilder()
         .setColor('#0099ff')
-        .setTitle(`${i + 1}. ${title} ${year}`)
-        .setDescription(`Type: ${resultType}\nOverview: ${overview}`);
-        
-      // Add poster thumbnail for each result
-      if (result.poster_path) {
-        resultEmbed.setThumbnail(`https://image.tmdb.org/t/p/w500${result.poster_path}`);
+        .setTitle('Search Results')
+        .setDescription(`Found ${results.length} results for "${searchQuery}".\nPick one from the menu below or press Cancel.`);
+      
+      if (totalPages > 1) {
+        headerEmbed.setFooter({ text: `Page ${currentPage + 1}/${totalPages}` });
       }
       
-      resultEmbeds.push(resultEmbed);
-    }
+      const resultEmbeds = [headerEmbed];
+      
+      // Add each result with its own embed and thumbnail
+      pageItems.forEach((result, i) => {
+        const title = result.title || result.name;
+        const date = result.release_date || result.first_air_date;
+        const year = date ? `(${date.substring(0, 4)})` : '';
+        const resultType = result.media_type === 'movie' ? 'Movie' : 'TV Show';
+        const overview = result.overview ? result.overview.substring(0, 100) + '...' : 'No overview available';
+        
+        // Create individual embed for each result with its own poster
+        const resultEmbed = new EmbedBuilder()
+          .setColor('#0099ff')
+          .setTitle(`${startIndex + i + 1}. ${title} ${year}`)
+          .setDescription(`Type: ${resultType}\nOverview: ${overview}`);
+          
+        // Add poster thumbnail for each result
+        if (result.poster_path) {
+          resultEmbed.setThumbnail(`https://image.tmdb.org/t/p/w500${result.poster_path}`);
+        }
+        
+        resultEmbeds.push(resultEmbed);
+      });
+      
+      return { embeds: resultEmbeds };
+    };
 
-    // Send a single message with multiple embeds
-    const selectionMsg = await message.reply({ embeds: resultEmbeds });
+    const selection = await showPicker(message, {
+      items: results,
+      pageSize: 5,
+      time: 60000,
+      placeholder: 'Select a title to subscribe to',
+      renderPage: renderResultsPage,
+      getLabel: (result, index) => {
+        const date = result.release_date || result.first_air_date;
+        return `${index + 1}. ${result.title || result.name}${date ? ` (${date.substring(0, 4)})` : ''}`;
+      },
+      getDescription: result => result.media_type === 'movie' ? 'Movie' : 'TV Show'
+    });
+    const selectionMsg = selection.pickerMsg;
+    
+    // Log the outcome for debugging purposes
+    console.log('Subscription picker ended with status:', selection.status);
 
-    // Add reaction options
-    const maxResults = Math.min(results.length, 5);
-    for (let i = 0; i < maxResults; i++) {
-      await selectionMsg.react(`${i + 1}️⃣`);
+    if (selection.status === 'cancelled') {
+      await safeDeleteMessage(selectionMsg, 'selection cancelled');
+      await message.reply('Selection cancelled.');
+      return;
     }
-    await selectionMsg.react('❌');
 
-    // Create reaction collector
-    const filter = (reaction, user) => {
-      const validReactions = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '❌'].slice(0, maxResults + 1);
-      return validReactions.includes(reaction.emoji.name) && user.id === message.author.id;
-    };
-    
-    const collector = selectionMsg.createReactionCollector({ filter, time: 60000, max: 1 });
+    if (selection.status === 'timeout') {
+      await message.reply('Search results timed out. Please try again.');
+      // Delete the search results message on timeout
+      await safeDeleteMessage(selectionMsg, 'subscription timeout');
+      
+      // Delete the correction message if it exists
+      if (correctionMsg) {
+        await safeDeleteMessage(correctionMsg, 'subscription timeout');
+      }
+      return;
+    }
 
-    collector.on('collect', async (reaction) => {
-      // Handle selection
-      try {
-        if (reaction.emoji.name === '❌') {
-          await safeDeleteMessage(selectionMsg, 'selection cancelled');
-          await message.reply('Selection cancelled.');
-          collector.stop('cancelled');
-          return;
-        }
-        
-        // Get selected item
-        const resultIndex = Number(reaction.emoji.name[0]) - 1;
-        const selected = results[resultIndex];
-        
-        // Check for existing subscription
-        const existingSubscription = getSubscriptions(message.author.id)
-          .find(s => s.mediaId === selected.id.toString());
+    // Handle selection
+    try {
+      // Get selected item
+      const selected = selection.item;
+      
+      // Check for existing subscription
+      const existingSubscription = getSubscriptions(message.author.id)
+        .find(s => s.mediaId === selected.id.toString());
+      
+      // For TV shows, handle episode subscription logic
+      if (selected.media_type === 'tv' && isEpisodeSubscription) {
+        // Check if S1E1 exists in Overseerr
+        const s1e1Exists = await checkIfS1E1Exists(selected.id);
         
-        // For TV shows, handle episode subscription logic
-        if (selected.media_type === 'tv' && isEpisodeSubscription) {
-          // Check if S1E1 exists in Overseerr
-          const s1e1Exists = await checkIfS1E1Exists(selected.id);
+        if (!s1e1Exists) {
+          // Check availability
+          const availability = await checkAvailability(selected.media_type, selected.id);
           
-          if (!s1e1Exists) {
-            // Check availability
-            const availability = await checkAvailability(selected.media_type, selected.id);
+          if (!availability || !availability.available) {
+            // Show confirmation dialog for potential episode subscription issues
+            const confirmEmbed = new EmbedBuilder()
+              .setColor('#FFA500')
+              .setTitle(`⚠️ Episode Notification Warning for ${selected.name}`)
+              .setDescription(
+                `This TV show doesn't have season 1 episode 1 available yet. ` +
+                `Episode notifications may not work properly until the show is added.\n\n` +
+                `Do you want to:\n` +
+                `👍 Add a regular release notification subscription\n` +
+                `👎 Cancel this subscription`
+              )
+              .setThumbnail(`https://image.tmdb.org/t/p/w500${selected.poster_path}`);
+              
+            const confirmMsg = await message.reply({ embeds: [confirmEmbed] });
             
-            if (!availability || !availability.available) {
-              // Show confirmation dialog for potential episode subscription issues
-              const confirmEmbed = new EmbedBuilder()
-                .setColor('#FFA500')
-                .setTitle(`⚠️ Episode Notification Warning for ${selected.name}`)
-                .setDescription(
-                  `This TV show doesn't have season 1 episode 1 available yet. ` +
-                  `Episode notifications may not work properly until the show is added.\n\n` +
-                  `Do you want to:\n` +
-                  `👍 Add a regular release notification subscription\n` +
-                  `👎 Cancel this subscription`
-                )
-                .setThumbnail(`https://image.tmdb.org/t/p/w500${selected.poster_path}`);
-                
-              const confirmMsg = await message.reply({ embeds: [confirmEmbed] });
+            // Delete the search results message since we're showing a confirmation
+            await safeDeleteMessage(selectionMsg, 'showing confirmation');
+            
+            // Only accept an answer from the original message author
+            const answer = await awaitConfirmation(confirmMsg, message.author.id, {
+              confirmLabel: 'Release notification',
+              declineLabel: 'Cancel',
+              time: 30000
+            });
+            
+            if (answer === 'timeout') {
+              await message.reply('Subscription creation timed out. Please try again.');
+              // Delete the confirmation message if it wasn't already deleted
+              await safeDeleteMessage(confirmMsg, 'confirmation timeout');
               
-              // Add reaction options
-              await confirmMsg.react('👍');
-              await confirmMsg.react('👎');
+              // Delete the correction message if it exists
+              if (correctionMsg) {
+                await safeDeleteMessage(correctionMsg, 'confirmation timeout');
+              }
+              return;
+            }
+            
+            await safeDeleteMessage(confirmMsg, 'confirmation selected');
+            
+            if (answer === 'confirmed') {
+              // Add a regular subscription instead
+              isEpisodeSubscription = false;
               
-              // Create a filter to only accept reactions from the original message author
-              const confirmFilter = (reaction, user) => {
-                return ['👍', '👎'].includes(reaction.emoji.name) && user.id === message.author.id;
-              };
+              const success = addSubscription(
+                message.author.id.toString(),
+                selected.id.toString(),
+                selected.media_type,
+                selected.name,
+                false // regular subscription
+              );
               
-              const confirmCollector = confirmMsg.createReactionCollector({ 
-                filter: confirmFilter, 
-                time: 30000,
-                max: 1
-              });
+              if (!success) {
+                throw new Error('Failed to add subscription');
+              }
               
-              confirmCollector.on('collect', async (reaction) => {
-                await safeDeleteMessage(confirmMsg, 'confirmation selected');
-                
-                if (reaction.emoji.name === '👍') {
-                  // Add a regular subscription instead
-                  isEpisodeSubscription = false;
-                  
-                  const success = addSubscription(
-                    message.author.id.toString(),
-                    selected.id.toString(),
-                    selected.media_type,
-                    selected.name,
-                    false // regular subscription
-                  );
-                  
-                  if (!success) {
-                    throw new Error('Failed to add subscription');
-                  }
-                  
-                  const subscribeEmbed = createStatusEmbed(
-                    selected,
-                    `✅ You are now subscribed to "${selected.name}" (release notification only).`,
-                    '#00FF00', // Green for success
-                    false
-                  );
-                  
-                  await message.reply({ embeds: [subscribeEmbed] });
-                  
-                  // Delete the correction message if it exists
-                  if (correctionMsg) {
-                    await safeDeleteMessage(correctionMsg, 'subscription completed - converted to regular');
-                  }
-                  
-                } else {
-                  const cancelEmbed = createStatusEmbed(
-                    selected,
-                    `❌ Subscription cancelled.`,
-                    '#FF0000', // Red for cancel
-                    false
-                  );
-                  await message.reply({ embeds: [cancelEmbed] });
-                  
-                  // Delete the correction message if it exists
-                  if (correctionMsg) {
-                    await safeDeleteMessage(correctionMsg, 'subscription cancelled in confirmation');
-                  }
-                }
-                
-                confirmCollector.stop('selected');
-              });
+              const subscribeEmbed = createStatusEmbed(
+                selected,
+                `✅ You are now subscribed to "${selected.name}" (release notification only).`,
+                '#00FF00', // Green for success
+                false
+              );
               
-              confirmCollector.on('end', async (collected, reason) => {
-                // Only show timeout message if it actually timed out
-                if (reason === 'time') {
-                  await message.reply('Subscription creation timed out. Please try again.');
-                  // Delete the confirmation message if it wasn't already deleted
-                  await safeDeleteMessage(confirmMsg, 'confirmation timeout');
-                  
-                  // Delete the correction message if it exists
-                  if (correctionMsg) {
-                    await safeDeleteMessage(correctionMsg, 'confirmation timeout');
-                  }
-                }
-              });
+              await message.reply({ embeds: [subscribeEmbed] });
               
-              // Delete the search results message since we're showing a confirmation
-              await safeDeleteMessage(selectionMsg, 'showing confirmation');
-              collector.stop('selected');
-              return;
+              // Delete the correction message if it exists
+              if (correctionMsg) {
+                await safeDeleteMessage(correctionMsg, 'subscription completed - converted to regular');
+              }
+              
+            } else {
+              const cancelEmbed = createStatusEmbed(
+                selected,
+                `❌ Subscription cancelled.`,
+                '#FF0000', // Red for cancel
+                false
+              );
+              await message.reply({ embeds: [cancelEmbed] });
+              
+              // Delete the correction message if it exists
+              if (correctionMsg) {
+                await safeDeleteMessage(correctionMsg, 'subscription cancelled in confirmation');
+              }
             }
+            return;
           }
         }
+      }
 
-        // Add or update subscription (only for non-problematic cases)
-        const success = addSubscription(
-          message.author.id.toString(),
-          selected.id.toString(),
-          selected.media_type,
-          selected.title || selected.name,
-          isEpisodeSubscription
-        );
+      // Add or update subscription (only for non-problematic cases)
+      const success = addSubscription(
+        message.author.id.toString(),
+        selected.id.toString(),
+        selected.media_type,
+        selected.title || selected.name,
+        isEpisodeSubscription
+      );
 
-        if (!success) {
-          throw new Error('Failed to add subscription');
-        }
+      if (!success) {
+        throw new Error('Failed to add subscription');
+      }
 
-        // Delete the search results message
-        await safeDeleteMessage(selectionMsg, 'subscription created');
-        
-        // Create appropriate rich embed response
-        let statusMessage, statusColor;
-        
-        if (existingSubscription) {
-          if (existingSubscription.episode_subscription === (isEpisodeSubscription ? 1 : 0)) {
-            statusMessage = `ℹ️ You are already subscribed to ${selected.title || selected.name}!`;
-            statusColor = '#FFA500'; // Orange for info
-          } else {
-            statusMessage = isEpisodeSubscription
-              ? `✅ Updated! You will now receive episode notifications for "${selected.title || selected.name}"!`
-              : `✅ Updated! You will now only receive release notifications for "${selected.title || selected.name}"!`;
-            statusColor = '#00FF00'; // Green for success
-          }
+      // Delete the search results message
+      await safeDeleteMessage(selectionMsg, 'subscription created');
+      
+      // Create appropriate rich embed response
+      let statusMessage, statusColor;
+      
+      if (existingSubscription) {
+        if (existingSubscription.episode_subscription === (isEpisodeSubscription ? 1 : 0)) {
+          statusMessage = `ℹ️ You are already subscribed to ${selected.title || selected.name}!`;
+          statusColor = '#FFA500'; // Orange for info
         } else {
           statusMessage = isEpisodeSubscription
-            ? `✅ You are now subscribed to new episodes of "${selected.name}"!`
-            : `✅ You are now subscribed to "${selected.title || selected.name}"!`;
+            ? `✅ Updated! You will now receive episode notifications for "${selected.title || selected.name}"!`
+            : `✅ Updated! You will now only receive release notifications for "${selected.title || selected.name}"!`;
           statusColor = '#00FF00'; // Green for success
         }
-        
-        const embed = createStatusEmbed(
-          selected,
-          statusMessage,
-          statusColor,
-          isEpisodeSubscription
-        );
-        
-        await message.reply({ embeds: [embed] });
-        
-        // Delete the correction message if it exists
-        if (correctionMsg) {
-          await safeDeleteMessage(correctionMsg, 'subscription completed');
-        }
-        
-      } catch (error) {
-        console.error('Error managing subscription:', error);
-        
-        // Delete the search results message
-        await safeDeleteMessage(selectionMsg, 'subscription error');
-        
-        const errorEmbed = new EmbedBuilder()
-          .setColor('#FF0000')
-          .setTitle('Subscription Error')
-          .setDescription(`❌ An error occurred while managing your subscription: ${error.message}`);
-          
-        await message.reply({ embeds: [errorEmbed] });
-        
-        // Delete the correction message if it exists
-        if (correctionMsg) {
-          await safeDeleteMessage(correctionMsg, 'subscription error');
-        }
+      } else {
+        statusMessage = isEpisodeSubscription
+          ? `✅ You are now subscribed to new episodes of "${selected.name}"!`
+          : `✅ You are now subscribed to "${selected.title || selected.name}"!`;
+        statusColor = '#00FF00'; // Green for success
       }
       
-      // Stop collector after user makes a selection
-      collector.stop('selected');
-    });
-    
-    collector.on('end', async (_, reason) => {
-      // Log the reason for debugging purposes
-      console.log('Subscription collector ended with reason:', reason);
-      // Only show timeout message if it actually timed out
-      if (reason === 'time') {
-        await message.reply('Search results timed out. Please try again.');
-        // Delete the search results message on timeout
-        await safeDeleteMessage(selectionMsg, 'subscription timeout');
+      const embed = createStatusEmbed(
+        selected,
+        statusMessage,
+        statusColor,
+        isEpisodeSubscription
+      );
+      
+      await message.reply({ embeds: [embed] });
+      
+      // Delete the correction message if it exists
+      if (correctionMsg) {
+        await safeDeleteMessage(correctionMsg, 'subscription completed');
+      }
+      
+    } catch (error) {
+      console.error('Error managing subscription:', error);
+      
+      // Delete the search results message
+      await safeDeleteMessage(selectionMsg, 'subscription error');
+      
+      const errorEmbed = new EmbedBuilder()
+        .setColor('#FF0000')
+        .setTitle('Subscription Error')
+        .setDescription(`❌ An error occurred while managing your subscription: ${error.message}`);
         
-        // Delete the correction message if it exists
-        if (correctionMsg) {
-          await safeDeleteMessage(correctionMsg, 'subscription timeout');
-        }
+      await message.reply({ embeds: [errorEmbed] });
+      
+      // Delete the correction message if it exists
+      if (correctionMsg) {
+        await safeDeleteMessage(correctionMsg, 'subscription error');
       }
-    });
+    }
 
   } catch (error) {
     console.error('Error handling subscription:', error);
@@ -1,6 +1,7 @@
 import { getSubscriptions, removeSubscription } from '../services/database.js';
 import { EmbedBuilder } from 'discord.js';
 import { searchTMDBById } from '../services/tmdb.js';
+import { showPicker } from '../utils/interactivePicker.js';
 
 /**
  * Safely delete a message with retry
@@ -67,27 +68,13 @@ export async function handleUnsubscribe(message) {
       return;
     }
 
-    // Pagination setup
-    const itemsPerPage = 5;
-    let currentPage = 0;
-    const totalPages = Math.ceil(subscriptions.length / itemsPerPage);
-
-    // Function to get current page items
-    const getCurrentPageItems = () => {
-      const start = currentPage * itemsPerPage;
-      return subscriptions.slice(start, start + itemsPerPage);
-    };
-
-    // Function to create embed for current page
-    const createPageEmbed = () => {
-      const pageItems = getCurrentPageItems();
-      const startIndex = currentPage * itemsPerPage;
-      
+    // Function to create embed for the current page
+    const createPageEmbed = ({ pageItems, startIndex, currentPage, totalPages }) => {
       return new EmbedBuilder()
         .setTitle('Select a subscription to remove')
         .setDescription(
           pageItems.map((sub, index) => 
-            `${index + 1}. **${sub.media_title}**\n` +
+            `${startIndex + index + 1}. **${sub.media_title}**\n` +
             `Type: ${sub.media_type}\n` +
             `Notifications: ${sub.episode_subscription ? 'Episodes' : 'Release only'}`
           ).join('\n\n')
@@ -97,132 +84,78 @@ export async function handleUnsubscribe(message) {
         });
     };
 
-    // Send initial embed
-    const selectionMsg = await message.reply({ embeds: [createPageEmbed()] });
-    
-    // Add navigation and selection reactions
-    const updateReactions = async () => {
-      // Remove all existing reactions
-      await selectionMsg.reactions.removeAll();
-      
-      // Add pagination controls if needed
-      if (totalPages > 1) {
-        if (currentPage > 0) {
-          await selectionMsg.react('⬅️');
-        }
-        if (currentPage < totalPages - 1) {
-          await selectionMsg.react('➡️');
-        }
-      }
-      
-      // Add number reactions for current page
-      const pageItems = getCurrentPageItems();
-      for (let i = 0; i < pageItems.length; i++) {
-        await selectionMsg.react(`${i + 1}️⃣`);
-      }
-      
-      // Add cancel reaction
-      await selectionMsg.react('❌');
-    };
-    
-    await updateReactions();
+    const selection = await showPicker(message, {
+      items: subscriptions,
+      pageSize: 5,
+      time: 60000,
+      placeholder: 'Select a subscription to remove',
+      renderPage: page => ({ embeds: [createPageEmbed(page)] }),
+      getLabel: (sub, index) => `${index + 1}. ${sub.media_title}`,
+      getDescription: sub => `${sub.media_type === 'tv' ? 'TV Show' : 'Movie'} • ${sub.episode_subscription ? 'Episodes' : 'Release only'}`
+    });
+    const selectionMsg = selection.pickerMsg;
 
-    // Create reaction collector
-    const filter = (reaction, user) => {
-      return user.id === message.author.id;
-    };
+    // Handle cancel
+    if (selection.status === 'cancelled') {
+      await message.reply('Unsubscribe cancelled.');
+      await safeDeleteMessage(selectionMsg, 'unsubscribe cancelled');
+      return;
+    }
 
-    const collector = selectionMsg.createReactionCollector({ filter, time: 60000 });
+    // Only show timeout message if it actually timed out
+    if (selection.status === 'timeout') {
+      await message.reply('Selection timed out. Please try again.');
+      // Delete the selection message on timeout
+      await safeDeleteMessage(selectionMsg, 'unsubscribe timeout');
+      return;
+    }
 
-    collector.on('collect', async (reaction, user) => {
-      // Handle navigation
-      if (reaction.emoji.name === '⬅️' && currentPage > 0) {
-        currentPage--;
-        await selectionMsg.edit({ embeds: [createPageEmbed()] });
-        await updateReactions();
-        return;
-      }
-      
-      if (reaction.emoji.name === '➡️' && currentPage < totalPages - 1) {
-        currentPage++;
-        await selectionMsg.edit({ embeds: [createPageEmbed()] });
-        await updateReactions();
-        return;
-      }
+    // Handle selection
+    const selected = selection.item;
+    
+    try {
+      // Remove subscription from database
+      const success = removeSubscription(message.author.id.toString(), selected.media_id);
       
-      // Handle cancel
-      if (reaction.emoji.name === '❌') {
-        await message.reply('Unsubscribe cancelled.');
-        await safeDeleteMessage(selectionMsg, 'unsubscribe cancelled');
-        collector.stop('cancelled');
-        return;
-      }
-
-      // Handle selection
-      if (/^[1-5]️⃣$/.test(reaction.emoji.name)) {
-        const selectedIndex = Number(reaction.emoji.name[0]) - 1;
-        const pageItems = getCurrentPageItems();
+      if (success) {
+        // Delete the selection message
+        await safeDeleteMessage(selectionMsg, 'unsubscribe successful');
         
-        if (selectedIndex >= 0 && selectedIndex < pageItems.length) {
-          const selected = pageItems[selectedIndex];
+        try {
+          // Try to fetch media details from TMDB for rich embed
+          const mediaDetails = await searchTMDBById(selected.media_id, selected.media_type);
           
-          try {
-            // Remove subscription from database
-            const success = removeSubscription(message.author.id.toString(), selected.media_id);
-            
-            if (success) {
-              // Delete the selection message
-              await safeDeleteMessage(selectionMsg, 'unsubscribe successful');
-              
-              try {
-                // Try to fetch media details from TMDB for rich embed
-                const mediaDetails = await searchTMDBById(selected.media_id, selected.media_type);
-                
-                if (mediaDetails) {
-                  const unsubscribeEmbed = createStatusEmbed(
-                    mediaDetails,
-                    `✅ ${message.author.username} has been unsubscribed from "${selected.media_title}"!`,
-                    '#00FF00', // Green for success
-                    selected.episode_subscription === 1
-                  );
-                  await message.reply({ embeds: [unsubscribeEmbed] });
-                } else {
-                  // Fallback if we can't get media details
-                  await message.reply(`✅ ${message.author.username} has been unsubscribed from "${selected.media_title}"!`);
-                }
-              } catch (error) {
-                console.error('Error fetching media details:', error);
-                // Fallback message if fetching details fails
-                await message.reply(`✅ ${message.author.username} has been unsubscribed from "${selected.media_title}"!`);
-              }
-            } else {
-              // Delete the selection message
-              await safeDeleteMessage(selectionMsg, 'unsubscribe error');
-              
-              const errorEmbed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('Unsubscribe Error')
-                .setDescription('❌ An error occurred while removing your subscription.');
-              await message.reply({ embeds: [errorEmbed] });
-            }
-          } catch (error) {
-            console.error('Error removing subscription:', error);
-            await message.reply('An error occurred while removing your subscription.');
+          if (mediaDetails) {
+            const unsubscribeEmbed = createStatusEmbed(
+              mediaDetails,
+              `✅ ${message.author.username} has been unsubscribed from "${selected.media_title}"!`,
+              '#00FF00', // Green for success
+              selected.episode_subscription === 1
+            );
+            await message.reply({ embeds: [unsubscribeEmbed] });
+          } else {
+            // Fallback if we can't get media details
+            await message.reply(`✅ ${message.author.username} has been unsubscribed from "${selected.media_title}"!`);
           }
-
-          collector.stop('selected');
+        } catch (error) {
+          console.error('Error fetching media details:', error);
+          // Fallback message if fetching details fails
+          await message.reply(`✅ ${message.author.username} has been unsubscribed from "${selected.media_title}"!`);
         }
+      } else {
+        // Delete the selection message
+        await safeDeleteMessage(selectionMsg, 'unsubscribe error');
+        
+        const errorEmbed = new EmbedBuilder()
+          .setColor('#FF0000')
+          .setTitle('Unsubscribe Error')
+          .setDescription('❌ An error occurred while removing your subscription.');
+        await message.reply({ embeds: [errorEmbed] });
       }
-    });
-
-    collector.on('end', async (_, reason) => {
-      // Only show timeout message if it actually timed out
-      if (reason === 'time') {
-        await message.reply('Selection timed out. Please try again.');
-        // Delete the selection message on timeout
-        await safeDeleteMessage(selectionMsg, 'unsubscribe timeout');
-      }
-    });
+    } catch (error) {
+      console.error('Error removing subscription:', error);
+      await message.reply('An error occurred while removing your subscription.');
+    }
 
   } catch (error) {
     console.error('Error handling unsubscribe:', error);
@@ -1,3 +1,4 @@
+import './utils/env.js';
 import { Client, GatewayIntentBits, Events } from 'discord.js';
 import { handleRequest } from './commands/request.js';
 import { handleSubscribe } from './commands/subscribe.js';
@@ -5,53 +6,39 @@ import { handleList } from './commands/list.js';
 import { handleUnsubscribe } from './commands/unsubscribe.js';
 import { handleCommands } from './commands/commands.js';
 import { handleMapping } from './commands/mapping.js';
+import { handleLink, isLinkInteraction, handleLinkInteraction } from './commands/link.js';
 import { handleStats, initStatsModule } from './commands/stats.js';
+import { registerSlashCommands, handleSlashCommand, handleAutocomplete } from './commands/slash.js';
+import { handlePermissions } from './commands/permissions.js';
+import { handleBackup } from './commands/backup.js';
 import { checkForUpdates } from './commands/update.js';
 import { setupWebhookServer } from './webhooks/plex.js';
 import { startRequestChecking } from './services/overseerrRequests.js';
+import { isApprovalInteraction, handleApprovalInteraction } from './services/approvals.js';
+import { startBackupSchedule } from './services/backups.js';
+import { checkCommandPermission, isBotChannel } from './services/permissions.js';
 import * as database from './services/database.js';
-import { config } from 'dotenv';
-import { resolve } from 'path';
-import { existsSync } from 'fs';
+import { getDataDir } from './utils/dataDir.js';
 
 let client;
 
+// Prefix commands and the permission name each one is checked against
+const PREFIX_COMMANDS = {
+  '!request': 'request',
+  '!subscribe': 'subscribe',
+  '!list': 'list',
+  '!unsubscribe': 'unsubscribe',
+  '!link': 'link',
+  '!commands': 'help',
+  '!help': 'help',
+  '!mapping': 'mapping',
+  '!stats': 'stats',
+  '!permissions': 'permissions',
+  '!backup': 'backup'
+};
+
 async function startBot() {
   try {
-    // Load environment variables - try multiple paths to find .env
-    const envPaths = [
-      '.env',
-      '../.env',
-      '../../.env',
-      resolve(process.cwd(), '.env'),
-      resolve(process.cwd(), '../.env'),
-      '/root/plexassistant/Plexcord/.env'
-    ];
-
-    let envLoaded = false;
-    
-    // Check if we're running in Docker environment
-    const isRunningInDocker = process.env.RUNNING_IN_DOCKER === 'true' || process.env.NODE_ENV === 'production';
-    
-    if (isRunningInDocker) {
-      console.log('Running in Docker environment, using provided environment variables');
-      envLoaded = true;
-    } else {
-      // Traditional .env file loading for local development
-      for (const path of envPaths) {
-        if (existsSync(path)) {
-          console.log(`Loading environment from: ${path}`);
-          config({ path });
-          envLoaded = true;
-          break;
-        }
-      }
-
-      if (!envLoaded) {
-        console.log('Could not find .env file, attempting to load from process.env directly');
-      }
-    }
-
     // Print all environment variables for debugging (mask sensitive ones)
     console.log('Environment variables loaded:');
     console.log('DISCORD_TOKEN: ' + (process.env.DISCORD_TOKEN ? '********' : 'undefined'));
@@ -68,6 +55,8 @@ async function startBot() {
     console.log('RADARR_URL: ' + process.env.RADARR_URL);
     console.log('RADARR_API_KEY: ' + (process.env.RADARR_API_KEY ? '********' : 'undefined'));
     console.log('WEBHOOK_SECRET: ' + (process.env.WEBHOOK_SECRET ? '********' : 'undefined'));
+    console.log('WEBHOOK_SECRET_DISABLED: ' + process.env.WEBHOOK_SECRET_DISABLED);
+    console.log('DATA_DIR: ' + getDataDir());
     
     // Ensure environment variables are set using the correct URL format
     // Remove trailing slashes from URLs to prevent double slashes in API requests
@@ -82,8 +71,7 @@ async function startBot() {
       'OVERSEERR_URL',
       'OVERSEERR_API_KEY',
       'TMDB_API_KEY',
-      'ALLOWED_CHANNEL_ID',
-      'OVERSEERR_USER_MAP'
+      'ALLOWED_CHANNEL_ID'
     ];
 
     const missingSettings = requiredSettings.filter(setting => !process.env[setting]);
@@ -91,14 +79,23 @@ async function startBot() {
       throw new Error(`Missing required environment variables: ${missingSettings.join(', ')}`);
     }
 
-    // Validate OVERSEERR_USER_MAP is valid JSON
-    try {
-      const userMap = JSON.parse(process.env.OVERSEERR_USER_MAP);
+    // OVERSEERR_USER_MAP only seeds the user_mappings table on first start,
+    // after that mappings are managed with !mapping
+    if (process.env.OVERSEERR_USER_MAP) {
+      let userMap;
+      try {
+        userMap = JSON.parse(process.env.OVERSEERR_USER_MAP);
+      } catch (error) {
+        throw new Error('OVERSEERR_USER_MAP must be a valid JSON string. Format: {"overseerr_id":"discord_id"}');
+      }
       if (typeof userMap !== 'object' || userMap === null) {
         throw new Error('OVERSEERR_USER_MAP must be a JSON object');
       }
-    } catch (error) {
-      throw new Error('OVERSEERR_USER_MAP must be a valid JSON string. Format: {"overseerr_id":"discord_id"}');
+
+      const imported = database.seedUserMappings(userMap);
+      if (imported > 0) {
+        console.log(`Imported ${imported} user mapping(s) from OVERSEERR_USER_MAP`);
+      }
     }
 
     client = new Client({
@@ -142,6 +139,8 @@ async function startBot() {
       console.log('PlexMate is ready!');
       setupWebhookServer();
       startRequestChecking(); // Start checking for Overseerr requests
+      startBackupSchedule(); // Back up the database on a schedule
+      await registerSlashCommands(client);
       
       // Initialize stats module
       await initStatsModule(client);
@@ -159,52 +158,56 @@ async function startBot() {
 
     client.on(Events.MessageCreate, async (message) => {
       if (message.author.bot) return;
-      
-      // Check if message is in allowed channel or admin channel
-      const isAllowedChannel = message.channel.id === process.env.ALLOWED_CHANNEL_ID;
-      const isAdminChannel = message.channel.id === process.env.ADMIN_CHANNEL_ID;
-      
-      // Only proceed if message is in allowed channel or admin channel
-      if (!isAllowedChannel && !isAdminChannel) {
-        return;
-      }
 
       const args = message.content.split(' ');
-      const command = args[0].toLowerCase();
+      const command = PREFIX_COMMANDS[args[0].toLowerCase()];
+      if (!command) return;
+
+      // Check channel, role and user permissions before any handler runs
+      const permission = checkCommandPermission(command, {
+        userId: message.author.id,
+        member: message.member,
+        channelId: message.channel.id
+      });
+      if (!permission.allowed) {
+        // Stay quiet in channels the bot isn't used in
+        if (isBotChannel(message.channel.id)) {
+          await message.reply({ content: permission.message, allowedMentions: { parse: [] } }).catch(console.error);
+        }
+        return;
+      }
 
       try {
         switch (command) {
-          case '!request':
+          case 'request':
             await handleRequest(message, args.slice(1).join(' '));
             break;
-          case '!subscribe':
+          case 'subscribe':
             await handleSubscribe(message, args.slice(1).join(' '));
             break;
-          case '!list':
+          case 'list':
             await handleList(message);
             break;
-          case '!unsubscribe':
+          case 'unsubscribe':
             await handleUnsubscribe(message);
             break;
-          case '!commands':
-          case '!help':
+          case 'link':
+            await handleLink(message, args.slice(1));
+            break;
+          case 'help':
             await handleCommands(message);
             break;
-          case '!mapping':
-            // Admin-only command - check if user is in admin channel
-            if (isAdminChannel) {
-              await handleMapping(message, args.slice(1));
-            } else {
-              await message.reply('This command is only available in the admin channel.');
-            }
+          case 'mapping':
+            await handleMapping(message, args.slice(1));
             break;
-          case '!stats':
-            // Admin-only command - check if user is in admin channel
-            if (isAdminChannel) {
-              await handleStats(message, args.slice(1));
-            } else {
-              await message.reply('This command is only available in the admin channel.');
-            }
+          case 'stats':
+            await handleStats(message, args.slice(1));
+            break;
+          case 'permissions':
+            await handlePermissions(message, args.slice(1));
+            break;
+          case 'backup':
+            await handleBackup(message, args.slice(1));
             break;
           default:
             break;
@@ -216,6 +219,59 @@ async function startBot() {
       }
     });
 
+    client.on(Events.InteractionCreate, async (interaction) => {
+      if (interaction.isAutocomplete()) {
+        await handleAutocomplete(interaction);
+        return;
+      }
+
+      // Approve/Decline buttons of the request approval queue
+      if (isApprovalInteraction(interaction)) {
+        try {
+          await handleApprovalInteraction(interaction);
+        } catch (error) {
+          console.error('Error handling approval interaction:', error);
+        }
+        return;
+      }
+
+      // Approve/Reject buttons of account link requests
+      if (isLinkInteraction(interaction)) {
+        try {
+          await handleLinkInteraction(interaction);
+        } catch (error) {
+          console.error('Error handling link interaction:', error);
+        }
+        return;
+      }
+
+      if (!interaction.isChatInputCommand()) return;
+
+      // Apply the same permissions as the prefix commands
+      const permission = checkCommandPermission(interaction.commandName, {
+        userId: interaction.user.id,
+        member: interaction.member,
+        channelId: interaction.channelId
+      });
+      if (!permission.allowed) {
+        await interaction.reply({ content: permission.message, ephemeral: true })
+          .catch(console.error);
+        return;
+      }
+
+      try {
+        await handleSlashCommand(interaction);
+      } catch (error) {
+        console.error('Error handling slash command:', error);
+        const errorReply = { content: 'An error occurred while processing your command. Please try again later.' };
+        if (interaction.deferred || interaction.replied) {
+          await interaction.followUp(errorReply).catch(console.error);
+        } else {
+          await interaction.reply({ ...errorReply, ephemeral: true }).catch(console.error);
+        }
+      }
+    });
+
 
 
     // Initial login
@@ -0,0 +1,126 @@
+/**
+ * Baseline schema, the tables every install had before versioned migrations
+ * Databases created before schema_version existed already have these tables, so
+ * everything here uses IF NOT EXISTS and the migration is recorded as applied
+ */
+
+export const description = 'Create the initial tables';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      user_id TEXT NOT NULL,
+      media_id TEXT NOT NULL,
+      media_type TEXT NOT NULL,
+      media_title TEXT NOT NULL,
+      episode_subscription BOOLEAN NOT NULL DEFAULT 0,
+      last_notified_season INTEGER,
+      last_notified_episode INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, media_id)
+    )
+  `);
+
+  // Add new tables for statistics
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS download_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_type TEXT NOT NULL,
+      source TEXT NOT NULL,
+      media_type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      quality TEXT,
+      size TEXT,
+      download_client TEXT,
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      data JSON
+    )
+  `);
+
+  // Episode notifications waiting to be sent as one batch, kept here so restarts don't lose them
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pending_episode_notifications (
+      user_id TEXT NOT NULL,
+      media_id TEXT NOT NULL,
+      episodes JSON NOT NULL,
+      poster_path TEXT,
+      due_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, media_id)
+    )
+  `);
+
+  // Notifications already delivered, so the same item arriving from Plex and Sonarr/Radarr
+  // is only announced once. Season 0 / episode 0 stand for a whole movie or season release
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sent_notifications (
+      user_id TEXT NOT NULL,
+      media_id TEXT NOT NULL,
+      season_number INTEGER NOT NULL DEFAULT 0,
+      episode_number INTEGER NOT NULL DEFAULT 0,
+      source TEXT NOT NULL,
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, media_id, season_number, episode_number)
+    )
+  `);
+
+  // Overseerr requests the bot has seen, from its own !request command, the Overseerr
+  // webhook or polling, so each request is only processed once and the requester
+  // can be told when its status changes
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS overseerr_requests (
+      request_id INTEGER PRIMARY KEY,
+      media_type TEXT NOT NULL,
+      media_id TEXT NOT NULL,
+      media_title TEXT,
+      discord_user_id TEXT,
+      source TEXT NOT NULL,
+      status TEXT NOT NULL,
+      status_message TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Approval messages posted to the admin channel for pending requests, so they can
+  // be updated when the request is approved or declined
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS approval_messages (
+      request_id INTEGER PRIMARY KEY,
+      channel_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Discord to Overseerr user mappings, seeded from OVERSEERR_USER_MAP on first start
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_mappings (
+      overseerr_user_id INTEGER PRIMARY KEY,
+      discord_user_id TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_user_mappings_discord ON user_mappings (discord_user_id)
+  `);
+
+  // Who may use each command and where: rows of type 'role', 'user' or 'channel'
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS command_permissions (
+      command TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('role', 'user', 'channel')),
+      target_id TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (command, type, target_id)
+    )
+  `);
+
+  // Small key/value store for bot state that has to survive restarts
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bot_state (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    )
+  `);
+}
@@ -0,0 +1,88 @@
+/**
+ * Dedicated download_history columns for sizes in bytes, quality names, series/movie ids
+ * and season/episode numbers. Multi-episode files are stored by their first episode.
+ * quality and size keep the formatted strings of older rows ("1.4 GB"), which are
+ * parsed here together with the JSON data column to fill in the new columns
+ */
+
+export const description = 'Add size, quality, id and episode columns to download_history';
+
+const COLUMNS = {
+  size_bytes: 'INTEGER',
+  quality_name: 'TEXT',
+  series_id: 'INTEGER',
+  movie_id: 'INTEGER',
+  season_number: 'INTEGER',
+  episode_number: 'INTEGER',
+  episode_count: 'INTEGER'
+};
+
+const SIZE_UNITS = { Bytes: 0, KB: 1, MB: 2, GB: 3, TB: 4 };
+
+/**
+ * Turn a size formatted by formatBytes ("1.4 GB") back into bytes
+ * @param {string} size - Formatted size
+ * @returns {number|null} Bytes, null for 'Unknown', 'N/A' and anything else unparseable
+ */
+function parseFormattedSize(size) {
+  const match = size?.match(/^([\d.]+) (Bytes|KB|MB|GB|TB)$/);
+  return match ? Math.round(Number(match[1]) * Math.pow(1024, SIZE_UNITS[match[2]])) : null;
+}
+
+/**
+ * Work out the new columns of a row written before they existed
+ * @param {Object} row - download_history row with the legacy quality, size, title and data
+ * @returns {Object} Values for the new columns
+ */
+function getLegacyColumns(row) {
+  let data = {};
+  try {
+    data = JSON.parse(row.data) || {};
+  } catch (error) {
+    // Rows without valid JSON still get their size and quality
+  }
+
+  // Episode titles end in the episode numbers: "Series - S01E02 S01E03"
+  const episodes = [...(row.title.match(/ - ((?:S\d+E\d+\s*)+)$/)?.[1] || '').matchAll(/S(\d+)E(\d+)/g)];
+  const episodeCount = episodes.length || (Array.isArray(data.episodeIds) ? data.episodeIds.length : 0);
+
+  return {
+    id: row.id,
+    sizeBytes: parseFormattedSize(row.size),
+    qualityName: row.quality && !['Unknown', 'N/A'].includes(row.quality) ? row.quality : null,
+    seriesId: data.seriesId ?? null,
+    movieId: data.movieId ?? null,
+    seasonNumber: episodes.length ? Number(episodes[0][1]) : null,
+    episodeNumber: episodes.length ? Number(episodes[0][2]) : null,
+    episodeCount: episodeCount || null
+  };
+}
+
+export function up(db) {
+  // Some databases got these columns before migrations were versioned
+  const existingColumns = db.prepare('PRAGMA table_info(download_history)').all().map(column => column.name);
+  const missingColumns = Object.keys(COLUMNS).filter(column => !existingColumns.includes(column));
+  if (!missingColumns.length) {
+    return;
+  }
+
+  for (const column of missingColumns) {
+    db.exec(`ALTER TABLE download_history ADD COLUMN ${column} ${COLUMNS[column]}`);
+  }
+
+  const backfillStmt = db.prepare(`
+    UPDATE download_history
+    SET size_bytes = @sizeBytes, quality_name = @qualityName, series_id = @seriesId, movie_id = @movieId,
+      season_number = @seasonNumber, episode_number = @episodeNumber, episode_count = @episodeCount
+    WHERE id = @id
+  `);
+
+  const rows = db.prepare('SELECT id, title, quality, size, data FROM download_history').all();
+  for (const row of rows) {
+    backfillStmt.run(getLegacyColumns(row));
+  }
+
+  if (rows.length) {
+    console.log(`Backfilled ${rows.length} download history rows`);
+  }
+}
@@ -0,0 +1,262 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} from 'discord.js';
+import { client } from '../index.js';
+import { searchTMDBById } from './tmdb.js';
+import { updateRequestApproval } from './overseerr.js';
+import { applyRequestStatus } from './overseerrRequests.js';
+import { hasPermission } from './permissions.js';
+import {
+  getOverseerrRequest,
+  updateOverseerrRequestStatus,
+  saveApprovalMessage,
+  getApprovalMessage,
+  removeApprovalMessage
+} from './database.js';
+
+/**
+ * Approval queue for Overseerr requests
+ *
+ * Pending requests are posted to the admin channel with Approve/Decline buttons.
+ * The buttons are handled through the client's interaction event rather than a
+ * collector, so they keep working after the bot restarts.
+ */
+
+const APPROVE_PREFIX = 'approval_approve:';
+const DECLINE_PREFIX = 'approval_decline:';
+const DECLINE_MODAL_PREFIX = 'approval_decline_modal:';
+const REASON_INPUT_ID = 'reason';
+
+// Embed fields describing the request, everything else is outcome information
+const REQUEST_FIELDS = ['Type', 'Requested by', 'Seasons'];
+
+// Requests whose approval message is being posted. The bot's own request, the Overseerr
+// webhook and the poll can see a new request at the same time, and the approval message is
+// only saved after TMDB and Discord were awaited, so the id is claimed before the first await
+const postingRequestIds = new Set();
+
+// How the approval embed looks once the request has left the pending state
+const CLOSED_APPROVAL_STYLES = {
+  approved: { label: 'Approved', color: 0x00ff00 },
+  declined: { label: 'Declined', color: 0xff0000 },
+  failed: { label: 'Failed', color: 0xffa500 },
+  available: { label: 'Available', color: 0x0099ff }
+};
+
+/**
+ * Post a pending request to the admin channel with Approve/Decline buttons
+ * @param {Object} request - Overseerr request object
+ * @param {Object} options
+ * @param {string} [options.mediaTitle] - Title of the requested media
+ * @param {string} [options.discordUserId] - Discord ID of the requester, if mapped
+ * @returns {Promise<boolean>} Whether the message was posted
+ */
+export async function postApprovalRequest(request, { mediaTitle = null, discordUserId = null } = {}) {
+  const channelId = process.env.ADMIN_CHANNEL_ID;
+  if (!channelId || !request?.id) {
+    return false;
+  }
+
+  if (postingRequestIds.has(request.id) || getApprovalMessage(request.id)) {
+    return false;
+  }
+  postingRequestIds.add(request.id);
+
+  try {
+    const mediaType = request.type || request.media?.mediaType;
+    const mediaId = request.media?.tmdbId;
+
+    let title = mediaTitle;
+    let posterPath = null;
+    if (mediaId && mediaType) {
+      const details = await searchTMDBById(mediaId, mediaType);
+      if (details) {
+        title = title || details.title || details.name;
+        posterPath = details.poster_path;
+      }
+    }
+    title = title || `Unknown ${mediaType} (ID: ${mediaId || 'N/A'})`;
+
+    const overseerrName = request.requestedBy?.displayName || request.requestedBy?.email;
+    let requester = discordUserId ? `<@${discordUserId}>` : overseerrName || 'Unknown';
+    if (discordUserId && overseerrName) {
+      requester += ` (Overseerr: ${overseerrName})`;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('Request Pending Approval')
+      .setDescription(`**${title}**${request.is4k ? ' in 4K' : ''}`)
+      .setColor(0xffff00)
+      .addFields(
+        { name: 'Type', value: mediaType === 'movie' ? 'Movie' : 'TV Show', inline: true },
+        { name: 'Requested by', value: requester, inline: true }
+      )
+      .setFooter({ text: `Overseerr request #${request.id}` })
+      .setTimestamp();
+
+    const seasons = (request.seasons || []).map(season => season.seasonNumber).filter(Boolean);
+    if (mediaType === 'tv' && seasons.length) {
+      embed.addFields({ name: 'Seasons', value: seasons.join(', '), inline: true });
+    }
+
+    if (posterPath) {
+      embed.setThumbnail(`https://image.tmdb.org/t/p/w500${posterPath}`);
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${APPROVE_PREFIX}${request.id}`)
+        .setLabel('Approve')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`${DECLINE_PREFIX}${request.id}`)
+        .setLabel('Decline')
+        .setEmoji('❌')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+    const channel = await client.channels.fetch(channelId);
+    const message = await channel.send({ embeds: [embed], components: [row] });
+    saveApprovalMessage(request.id, channel.id, message.id);
+
+    console.log(`Posted request ${request.id} (${title}) to the admin channel for approval`);
+    return true;
+  } catch (error) {
+    console.error(`Error posting request ${request.id} for approval:`, error);
+    return false;
+  } finally {
+    postingRequestIds.delete(request.id);
+  }
+}
+
+/**
+ * Update the approval message of a request that is no longer pending
+ * The buttons are removed and the embed shows the outcome and who acted
+ * @param {number} requestId - Overseerr request ID
+ * @param {string} status - The request's new status
+ * @param {Object} [options]
+ * @param {string} [options.actedBy] - Discord ID of the admin who acted, null when it happened in Overseerr
+ * @param {string} [options.reason] - Decline reason or failure message
+ * @returns {Promise<boolean>} Whether a message was updated
+ */
+export async function closeApprovalMessage(requestId, status, { actedBy = null, reason = null } = {}) {
+  const style = CLOSED_APPROVAL_STYLES[status];
+  const approvalMessage = getApprovalMessage(requestId);
+  if (!style || !approvalMessage) {
+    return false;
+  }
+
+  try {
+    const channel = await client.channels.fetch(approvalMessage.channel_id);
+    const message = await channel.messages.fetch(approvalMessage.message_id);
+
+    // Keep the request details, dropping the outcome fields of an earlier update
+    const fields = (message.embeds[0]?.fields || []).filter(field => REQUEST_FIELDS.includes(field.name));
+    const embed = EmbedBuilder.from(message.embeds[0])
+      .setTitle(`Request ${style.label}`)
+      .setColor(style.color)
+      .setFields(fields)
+      .addFields({ name: `${style.label} by`, value: actedBy ? `<@${actedBy}>` : 'Overseerr' });
+
+    if (reason) {
+      embed.addFields({ name: status === 'declined' ? 'Reason' : 'Details', value: reason.substring(0, 1024) });
+    }
+
+    // The message is kept on record so a later update (such as the admin who clicked a
+    // button after Overseerr's webhook already arrived) can still correct it
+    await message.edit({ embeds: [embed], components: [] });
+    return true;
+  } catch (error) {
+    if (error.code === 10008) { // Unknown Message error, the message was deleted
+      removeApprovalMessage(requestId);
+    } else {
+      console.error(`Error updating approval message for request ${requestId}:`, error);
+    }
+    return false;
+  }
+}
+
+/**
+ * Check whether an interaction belongs to the approval queue
+ */
+export function isApprovalInteraction(interaction) {
+  return (interaction.isButton() || interaction.isModalSubmit()) &&
+    [APPROVE_PREFIX, DECLINE_PREFIX, DECLINE_MODAL_PREFIX].some(prefix => interaction.customId.startsWith(prefix));
+}
+
+/**
+ * Handle the Approve/Decline buttons and the decline reason modal
+ * @param {Object} interaction - Button or modal submit interaction
+ */
+export async function handleApprovalInteraction(interaction) {
+  if (!hasPermission(interaction, 'admin')) {
+    await interaction.reply({ content: "You don't have permission to review requests.", ephemeral: true });
+    return;
+  }
+
+  const [prefix, rawId] = interaction.customId.split(':');
+  const requestId = Number(rawId);
+  const action = `${prefix}:`;
+
+  const tracked = getOverseerrRequest(requestId);
+  if (tracked && tracked.status !== 'pending') {
+    await interaction.reply({ content: `This request was already ${tracked.status}.`, ephemeral: true });
+    await closeApprovalMessage(requestId, tracked.status, { reason: tracked.status_message });
+    return;
+  }
+
+  // Ask for the decline reason first, the request is declined once the modal is submitted
+  if (action === DECLINE_PREFIX) {
+    const modal = new ModalBuilder()
+      .setCustomId(`${DECLINE_MODAL_PREFIX}${requestId}`)
+      .setTitle('Decline Request')
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId(REASON_INPUT_ID)
+            .setLabel('Reason (sent to the requester)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(false)
+            .setMaxLength(500)
+        )
+      );
+
+    await interaction.showModal(modal);
+    return;
+  }
+
+  await interaction.deferUpdate();
+
+  const isApproval = action === APPROVE_PREFIX;
+  const status = isApproval ? 'approved' : 'declined';
+  const reason = isApproval ? null : interaction.fields.getTextInputValue(REASON_INPUT_ID)?.trim() || null;
+
+  try {
+    // Store the reason before declining, Overseerr's decline webhook doesn't carry it
+    if (reason && tracked) {
+      updateOverseerrRequestStatus(requestId, tracked.status, reason);
+    }
+
+    await updateRequestApproval(requestId, isApproval ? 'approve' : 'decline');
+    console.log(`Request ${requestId} ${status} by ${interaction.user.tag}`);
+
+    // The Overseerr webhook may have recorded the new status already, the message still shows who acted
+    const changed = await applyRequestStatus(requestId, status, reason, interaction.user.id);
+    if (!changed) {
+      await closeApprovalMessage(requestId, status, { actedBy: interaction.user.id, reason });
+    }
+  } catch (error) {
+    console.error(`Error ${isApproval ? 'approving' : 'declining'} request ${requestId}:`, error);
+    await interaction.followUp({
+      content: `Failed to ${isApproval ? 'approve' : 'decline'} the request in Overseerr. Please try again or use Overseerr directly.`,
+      ephemeral: true
+    });
+  }
+}
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { backupDatabase, restoreDatabase } from './database.js';
+import { getDataPath } from '../utils/dataDir.js';
+
+/**
+ * Scheduled and on-demand snapshots of bot.db
+ *
+ * Snapshots are taken with SQLite's online backup API into the backups folder of the
+ * data directory, so the bot keeps running while they are written. BACKUP_INTERVAL_HOURS
+ * sets how often a snapshot is taken (0 turns scheduled backups off) and BACKUP_RETENTION
+ * how many snapshots are kept, the oldest are deleted first.
+ */
+
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_RETENTION = 7;
+
+// How often the schedule checks whether a snapshot is due
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// bot-2025-03-11T04-00-00-000Z-scheduled.db
+const BACKUP_FILE = /^bot-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-([a-z-]+)\.db$/;
+
+/**
+ * Get the folder snapshots are kept in
+ */
+export function getBackupDir() {
+  return getDataPath('backups');
+}
+
+// Hours between scheduled snapshots, 0 turns them off and an empty value means the default
+function getIntervalHours() {
+  const value = process.env.BACKUP_INTERVAL_HOURS?.trim();
+  const hours = Number(value);
+  return value && Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_INTERVAL_HOURS;
+}
+
+/**
+ * Get the number of snapshots to keep
+ */
+export function getRetention() {
+  const count = Number(process.env.BACKUP_RETENTION);
+  return Number.isFinite(count) && count >= 1 ? Math.floor(count) : DEFAULT_RETENTION;
+}
+
+/**
+ * List the snapshots in the backups folder
+ * @returns {Array<Object>} { name, path, size, createdAt, reason }, newest first
+ */
+export function listBackups() {
+  const backupDir = getBackupDir();
+  if (!fs.existsSync(backupDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(backupDir)
+    .map(name => ({ name, match: name.match(BACKUP_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => {
+      const [, date, hours, minutes, seconds, milliseconds, reason] = match;
+      const filePath = path.join(backupDir, name);
+      return {
+        name,
+        path: filePath,
+        size: fs.statSync(filePath).size,
+        createdAt: new Date(`${date}T${hours}:${minutes}:${seconds}.${milliseconds}Z`),
+        reason
+      };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Delete the oldest snapshots beyond BACKUP_RETENTION
+ * @returns {number} Number of snapshots deleted
+ */
+export function pruneBackups() {
+  let deleted = 0;
+  for (const backup of listBackups().slice(getRetention())) {
+    try {
+      fs.unlinkSync(backup.path);
+      deleted++;
+    } catch (error) {
+      console.error(`[Backups] Failed to delete old backup ${backup.name}:`, error);
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Take a snapshot of the database
+ * It is written under a temporary name first, so a half-written file never shows up as a backup
+ * @param {string} [reason='manual'] - Why it was taken, part of the file name
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - Delete snapshots beyond the retention count afterwards
+ * @returns {Promise<Object>} The new snapshot, as listed by listBackups
+ */
+export async function createBackup(reason = 'manual', { prune = true } = {}) {
+  const backupDir = getBackupDir();
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `bot-${timestamp}-${reason}.db`;
+  const filePath = path.join(backupDir, name);
+  const partialPath = `${filePath}.partial`;
+
+  try {
+    await backupDatabase(partialPath);
+    fs.renameSync(partialPath, filePath);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+
+  if (prune) {
+    pruneBackups();
+  }
+
+  return listBackups().find(backup => backup.name === name);
+}
+
+/**
+ * Replace the database with a snapshot
+ * The current database is saved as a 'pre-restore' snapshot first, so a restore can be undone
+ * @param {string} name - File name of the snapshot
+ * @returns {Promise<Object>} { restored, safety } - the restored snapshot and the one taken before
+ */
+export async function restoreBackup(name) {
+  const backup = listBackups().find(item => item.name === name);
+  if (!backup) {
+    throw new Error(`Backup ${name} not found`);
+  }
+
+  // Pruning now could delete the snapshot that is about to be restored
+  const safety = await createBackup('pre-restore', { prune: false });
+  await restoreDatabase(backup.path);
+  pruneBackups();
+
+  console.log(`[Backups] Restored ${backup.name}, the previous database was saved as ${safety.name}`);
+  return { restored: backup, safety };
+}
+
+/**
+ * Take a snapshot whenever the newest one is older than BACKUP_INTERVAL_HOURS
+ * Checking against the newest snapshot keeps restarts from delaying or doubling backups
+ */
+export function startBackupSchedule() {
+  const intervalHours = getIntervalHours();
+  if (!intervalHours) {
+    console.log('[Backups] Scheduled backups are disabled (BACKUP_INTERVAL_HOURS=0)');
+    return;
+  }
+
+  const intervalMs = intervalHours * 60 * 60 * 1000;
+  const backupIfDue = async () => {
+    try {
+      const [latest] = listBackups();
+      if (latest && Date.now() - latest.createdAt.getTime() < intervalMs) {
+        return;
+      }
+
+      const backup = await createBackup('scheduled');
+      console.log(`[Backups] Saved ${backup.name}`);
+    } catch (error) {
+      console.error('[Backups] Scheduled backup failed:', error);
+    }
+  };
+
+  console.log(`[Backups] Backing up the database every ${intervalHours} hour(s) to ${getBackupDir()}, keeping ${getRetention()}`);
+  backupIfDue();
+  setInterval(backupIfDue, Math.min(intervalMs, CHECK_INTERVAL_MS));
+}
@@ -1,42 +1,27 @@
 import Database from 'better-sqlite3';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { runMigrations, loadMigrations, getSchemaVersion } from './migrations.js';
+import { ensureDataDir, getDataPath } from '../utils/dataDir.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const dbPath = join(__dirname, '..', '..', '..', 'data', 'bot.db');
-const db = new Database(dbPath);
-
-// Initialize database with required tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS subscriptions (
-    user_id TEXT NOT NULL,
-    media_id TEXT NOT NULL,
-    media_type TEXT NOT NULL,
-    media_title TEXT NOT NULL,
-    episode_subscription BOOLEAN NOT NULL DEFAULT 0,
-    last_notified_season INTEGER,
-    last_notified_episode INTEGER,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    PRIMARY KEY (user_id, media_id)
-  )
-`);
+// The database lives in DATA_DIR, which has to be writable before anything else can work
+try {
+  ensureDataDir();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-// Add new tables for statistics
-db.exec(`
-  CREATE TABLE IF NOT EXISTS download_history (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    event_type TEXT NOT NULL,
-    source TEXT NOT NULL,
-    media_type TEXT NOT NULL,
-    title TEXT NOT NULL,
-    quality TEXT,
-    size TEXT,
-    download_client TEXT,
-    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    data JSON
-  )
-`);
+const dbPath = getDataPath('bot.db');
+const db = new Database(dbPath);
 
+// Create and update the tables with the numbered files in src/bot/migrations. The bot
+// must not run against a schema it doesn't know, so a failed migration or a database
+// written by a newer PlexMate stops it here
+try {
+  await runMigrations(db);
+} catch (error) {
+  console.error(`Could not prepare the database at ${dbPath}: ${error.message}`);
+  process.exit(1);
+}
 
 // Prepare statements for better performance
 const addSubscriptionStmt = db.prepare(`
@@ -49,12 +34,23 @@ const getSubscriptionsStmt = db.prepare(`
   SELECT * FROM subscriptions WHERE user_id = ?
 `);
 
+const getSubscriptionStmt = db.prepare(`
+  SELECT * FROM subscriptions 
+  WHERE user_id = ? AND media_id = ?
+`);
+
 const getSubscriptionByTitleStmt = db.prepare(`
   SELECT * FROM subscriptions 
   WHERE media_title LIKE ? 
   AND media_type = ?
 `);
 
+const getSubscriptionsByMediaIdStmt = db.prepare(`
+  SELECT * FROM subscriptions 
+  WHERE media_id = ? 
+  AND media_type = ?
+`);
+
 const removeSubscriptionStmt = db.prepare(`
   DELETE FROM subscriptions 
   WHERE user_id = ? AND media_id = ?
@@ -70,16 +66,243 @@ const updateSubscriptionStmt = db.prepare(`
 // Prepare statements for download history
 const addDownloadHistoryStmt = db.prepare(`
   INSERT INTO download_history (
-    event_type, source, media_type, title, quality, size, download_client, data
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    event_type, source, media_type, title, quality_name, size_bytes, download_client,
+    series_id, movie_id, season_number, episode_number, episode_count, data
+  ) VALUES (
+    @eventType, @source, @mediaType, @title, @qualityName, @sizeBytes, @downloadClient,
+    @seriesId, @movieId, @seasonNumber, @episodeNumber, @episodeCount, @data
+  )
+`);
+
+// Prepare statements for pending episode notifications
+const savePendingEpisodeBatchStmt = db.prepare(`
+  INSERT OR REPLACE INTO pending_episode_notifications (
+    user_id, media_id, episodes, poster_path, due_at
+  ) VALUES (?, ?, ?, ?, ?)
+`);
+
+const getPendingEpisodeBatchStmt = db.prepare(`
+  SELECT * FROM pending_episode_notifications 
+  WHERE user_id = ? AND media_id = ?
+`);
+
+const getPendingEpisodeBatchesStmt = db.prepare(`
+  SELECT * FROM pending_episode_notifications 
+  ORDER BY due_at ASC
+`);
+
+const removePendingEpisodeBatchStmt = db.prepare(`
+  DELETE FROM pending_episode_notifications 
+  WHERE user_id = ? AND media_id = ?
+`);
+
+// Prepare statements for sent notifications
+const recordSentNotificationStmt = db.prepare(`
+  INSERT OR IGNORE INTO sent_notifications (
+    user_id, media_id, season_number, episode_number, source
+  ) VALUES (?, ?, ?, ?, ?)
+`);
+
+const getSentNotificationStmt = db.prepare(`
+  SELECT * FROM sent_notifications 
+  WHERE user_id = ? AND media_id = ? AND season_number = ? AND episode_number = ?
+`);
+
+const clearSentNotificationsStmt = db.prepare(`
+  DELETE FROM sent_notifications 
+  WHERE user_id = ? AND media_id = ?
+`);
+
+// Prepare statements for Overseerr requests
+// Overseerr's webhook can report a request before the bot's POST returns, the bot's row then
+// takes over the requester and source so the request still counts towards the quota
+const addOverseerrRequestStmt = db.prepare(`
+  INSERT INTO overseerr_requests (
+    request_id, media_type, media_id, media_title, discord_user_id, source, status
+  ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(request_id) DO UPDATE SET
+    discord_user_id = excluded.discord_user_id,
+    source = excluded.source,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE excluded.source = 'bot' AND overseerr_requests.source != 'bot'
+`);
+
+const getOverseerrRequestStmt = db.prepare(`
+  SELECT * FROM overseerr_requests WHERE request_id = ?
+`);
+
+const updateOverseerrRequestStatusStmt = db.prepare(`
+  UPDATE overseerr_requests 
+  SET status = ?, status_message = ?, updated_at = CURRENT_TIMESTAMP 
+  WHERE request_id = ?
+`);
+
+// Requests made through the bot by a user within the quota window, declined requests don't count
+const getRequestQuotaUsageStmt = db.prepare(`
+  SELECT COUNT(*) AS count, MIN(created_at) AS oldest
+  FROM overseerr_requests
+  WHERE discord_user_id = ? AND media_type = ? AND source = 'bot' AND status != 'declined'
+    AND created_at >= datetime('now', ?)
+`);
+
+// Prepare statements for approval messages
+const saveApprovalMessageStmt = db.prepare(`
+  INSERT OR REPLACE INTO approval_messages (request_id, channel_id, message_id) VALUES (?, ?, ?)
+`);
+
+const getApprovalMessageStmt = db.prepare(`
+  SELECT * FROM approval_messages WHERE request_id = ?
+`);
+
+const removeApprovalMessageStmt = db.prepare(`
+  DELETE FROM approval_messages WHERE request_id = ?
+`);
+
+// Prepare statements for user mappings
+const getUserMappingsStmt = db.prepare(`
+  SELECT * FROM user_mappings ORDER BY overseerr_user_id
+`);
+
+const getUserMappingByDiscordIdStmt = db.prepare(`
+  SELECT * FROM user_mappings WHERE discord_user_id = ? ORDER BY overseerr_user_id LIMIT 1
+`);
+
+const getUserMappingByOverseerrIdStmt = db.prepare(`
+  SELECT * FROM user_mappings WHERE overseerr_user_id = ?
+`);
+
+const addUserMappingStmt = db.prepare(`
+  INSERT OR REPLACE INTO user_mappings (overseerr_user_id, discord_user_id) VALUES (?, ?)
+`);
+
+const removeUserMappingsByDiscordIdStmt = db.prepare(`
+  DELETE FROM user_mappings WHERE discord_user_id = ?
+`);
+
+const removeUserMappingByOverseerrIdStmt = db.prepare(`
+  DELETE FROM user_mappings WHERE overseerr_user_id = ?
+`);
+
+// Prepare statements for command permissions
+const getCommandPermissionsStmt = db.prepare(`
+  SELECT * FROM command_permissions WHERE command = ? ORDER BY type, created_at
+`);
+
+const getAllCommandPermissionsStmt = db.prepare(`
+  SELECT * FROM command_permissions ORDER BY command, type, created_at
+`);
+
+const addCommandPermissionStmt = db.prepare(`
+  INSERT OR IGNORE INTO command_permissions (command, type, target_id) VALUES (?, ?, ?)
 `);
 
+const removeCommandPermissionStmt = db.prepare(`
+  DELETE FROM command_permissions WHERE command = ? AND type = ? AND target_id = ?
+`);
+
+const clearCommandPermissionsStmt = db.prepare(`
+  DELETE FROM command_permissions WHERE command = ?
+`);
+
+// Prepare statements for bot state
+const getBotStateStmt = db.prepare(`
+  SELECT value FROM bot_state WHERE key = ?
+`);
+
+const setBotStateStmt = db.prepare(`
+  INSERT OR REPLACE INTO bot_state (key, value) VALUES (?, ?)
+`);
+
+// Replace a Discord user's mapping in one go, so they never end up without one
+const setUserMappingTransaction = db.transaction((discordUserId, overseerrUserId) => {
+  removeUserMappingsByDiscordIdStmt.run(discordUserId);
+  addUserMappingStmt.run(overseerrUserId, discordUserId);
+});
+
+// Only a brand-new subscription starts with a clean notification history. Re-subscribing or
+// the Overseerr webhook/poll touching an existing subscription must keep it, or the same
+// episode would be announced again by the other source. Movie and first-season subscriptions
+// are removed once announced, so subscribing again after that starts over as well
+const addSubscriptionTransaction = db.transaction((userId, mediaId, mediaType, mediaTitle, episodeSubscription) => {
+  const existing = getSubscriptionStmt.get(userId, mediaId);
+  addSubscriptionStmt.run(userId, mediaId, mediaType, mediaTitle, episodeSubscription);
+  if (!existing) {
+    clearSentNotificationsStmt.run(userId, mediaId);
+  }
+});
+
+// Import OVERSEERR_USER_MAP once, the bot_state flag keeps a later restart from
+// bringing back mappings that were removed with !mapping
+const USER_MAPPINGS_SEEDED_KEY = 'user_mappings_seeded';
+const seedUserMappingsTransaction = db.transaction((userMap) => {
+  if (getBotStateStmt.get(USER_MAPPINGS_SEEDED_KEY)) {
+    return 0;
+  }
+
+  let imported = 0;
+  for (const [overseerrUserId, discordUserId] of Object.entries(userMap)) {
+    if (/^\d+$/.test(overseerrUserId) && discordUserId) {
+      addUserMappingStmt.run(Number(overseerrUserId), discordUserId.toString());
+      imported++;
+    }
+  }
+
+  setBotStateStmt.run(USER_MAPPINGS_SEEDED_KEY, new Date().toISOString());
+  return imported;
+});
+
 const getRecentDownloadsStmt = db.prepare(`
   SELECT * FROM download_history 
   ORDER BY timestamp DESC 
   LIMIT ?
 `);
 
+// Download statistics for !stats, @days limits them to the last N days (NULL for all time)
+const STATS_PERIOD_FILTER = `(@days IS NULL OR timestamp >= datetime('now', '-' || @days || ' days'))`;
+
+const getDownloadEventCountsStmt = db.prepare(`
+  SELECT source, event_type, COUNT(*) AS count
+  FROM download_history
+  WHERE ${STATS_PERIOD_FILTER}
+  GROUP BY source, event_type
+`);
+
+const getDownloadedBytesStmt = db.prepare(`
+  SELECT COALESCE(SUM(size_bytes), 0) AS bytes
+  FROM download_history
+  WHERE event_type IN ('download', 'upgrade') AND ${STATS_PERIOD_FILTER}
+`);
+
+// Episode titles are "Series - S01E02 S01E03", the series name is cut from one of them in JS
+const getTopSeriesStmt = db.prepare(`
+  SELECT series_id, MAX(title) AS title, SUM(COALESCE(episode_count, 1)) AS episodes
+  FROM download_history
+  WHERE source = 'sonarr' AND event_type IN ('download', 'upgrade') AND ${STATS_PERIOD_FILTER}
+    AND series_id IS NOT NULL
+  GROUP BY series_id
+  ORDER BY episodes DESC
+  LIMIT @limit
+`);
+
+const getBusiestDaysStmt = db.prepare(`
+  SELECT date(timestamp) AS day, COUNT(*) AS count
+  FROM download_history
+  WHERE event_type IN ('download', 'upgrade') AND ${STATS_PERIOD_FILTER}
+  GROUP BY day
+  ORDER BY count DESC, day DESC
+  LIMIT @limit
+`);
+
+// Completed downloads are recorded with the client 'completed', so clients come from grabs
+const getDownloadClientsStmt = db.prepare(`
+  SELECT COALESCE(NULLIF(download_client, ''), 'Unknown') AS client, COUNT(*) AS count
+  FROM download_history
+  WHERE event_type = 'grab' AND ${STATS_PERIOD_FILTER}
+  GROUP BY client
+  ORDER BY count DESC
+  LIMIT @limit
+`);
+
 
 
 /**
@@ -87,7 +310,7 @@ const getRecentDownloadsStmt = db.prepare(`
  */
 export function addSubscription(userId, mediaId, mediaType, mediaTitle, episodeSubscription = false) {
   try {
-    addSubscriptionStmt.run(userId, mediaId, mediaType, mediaTitle, episodeSubscription ? 1 : 0);
+    addSubscriptionTransaction(userId.toString(), mediaId.toString(), mediaType, mediaTitle, episodeSubscription ? 1 : 0);
     return true;
   } catch (error) {
     console.error('Error adding subscription:', error);
@@ -107,6 +330,18 @@ export function getSubscriptions(userId) {
   }
 }
 
+/**
+ * Get a single subscription by user and TMDB media id
+ */
+export function getSubscription(userId, mediaId) {
+  try {
+    return getSubscriptionStmt.get(userId.toString(), mediaId.toString()) || null;
+  } catch (error) {
+    console.error('Error getting subscription:', error);
+    return null;
+  }
+}
+
 /**
  * Get subscriptions by title (case-insensitive) and media type
  */
@@ -119,6 +354,18 @@ export function getSubscriptionByTitle(title, mediaType) {
   }
 }
 
+/**
+ * Get all subscriptions for a TMDB media id and media type
+ */
+export function getSubscriptionsByMediaId(mediaId, mediaType) {
+  try {
+    return getSubscriptionsByMediaIdStmt.all(mediaId.toString(), mediaType);
+  } catch (error) {
+    console.error('Error getting subscriptions by media id:', error);
+    return [];
+  }
+}
+
 /**
  * Remove a subscription from the database
  */
@@ -145,13 +392,471 @@ export function updateSubscription(userId, mediaId, season, episode) {
   }
 }
 
+/**
+ * Parse the episodes JSON of a pending episode notification row
+ */
+function parsePendingEpisodeBatch(row) {
+  if (!row) return null;
+  try {
+    row.episodes = JSON.parse(row.episodes);
+  } catch (e) {
+    row.episodes = [];
+  }
+  return row;
+}
+
+/**
+ * Save (or replace) a pending episode notification batch
+ */
+export function savePendingEpisodeBatch(userId, mediaId, episodes, posterPath, dueAt) {
+  try {
+    savePendingEpisodeBatchStmt.run(
+      userId.toString(),
+      mediaId.toString(),
+      JSON.stringify(episodes),
+      posterPath || null,
+      dueAt
+    );
+    return true;
+  } catch (error) {
+    console.error('Error saving pending episode batch:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the pending episode notification batch for a user and show
+ */
+export function getPendingEpisodeBatch(userId, mediaId) {
+  try {
+    return parsePendingEpisodeBatch(getPendingEpisodeBatchStmt.get(userId.toString(), mediaId.toString()));
+  } catch (error) {
+    console.error('Error getting pending episode batch:', error);
+    return null;
+  }
+}
+
+/**
+ * Get all pending episode notification batches, oldest due first
+ */
+export function getPendingEpisodeBatches() {
+  try {
+    return getPendingEpisodeBatchesStmt.all().map(parsePendingEpisodeBatch);
+  } catch (error) {
+    console.error('Error getting pending episode batches:', error);
+    return [];
+  }
+}
+
+/**
+ * Remove a pending episode notification batch once it has been sent
+ */
+export function removePendingEpisodeBatch(userId, mediaId) {
+  try {
+    const result = removePendingEpisodeBatchStmt.run(userId.toString(), mediaId.toString());
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error removing pending episode batch:', error);
+    return false;
+  }
+}
+
+/**
+ * Record that a user was notified about a movie, season or episode
+ * @returns {boolean} True if this is the first notification for the item
+ */
+export function recordSentNotification(userId, mediaId, seasonNumber = 0, episodeNumber = 0, source = 'plex') {
+  try {
+    const result = recordSentNotificationStmt.run(
+      userId.toString(),
+      mediaId.toString(),
+      seasonNumber,
+      episodeNumber,
+      source
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error recording sent notification:', error);
+    return false;
+  }
+}
+
+/**
+ * Check whether a user was already notified about a movie, season or episode
+ */
+export function hasSentNotification(userId, mediaId, seasonNumber = 0, episodeNumber = 0) {
+  try {
+    return !!getSentNotificationStmt.get(userId.toString(), mediaId.toString(), seasonNumber, episodeNumber);
+  } catch (error) {
+    console.error('Error checking sent notification:', error);
+    return false;
+  }
+}
+
+/**
+ * Start tracking an Overseerr request
+ * A request already tracked from the webhook or poll is taken over when source is 'bot'
+ * @returns {boolean} True if the request was not tracked yet or was taken over
+ */
+export function addOverseerrRequest({ requestId, mediaType, mediaId, mediaTitle = null, discordUserId = null, source, status = 'pending' }) {
+  try {
+    const result = addOverseerrRequestStmt.run(
+      Number(requestId),
+      mediaType,
+      mediaId.toString(),
+      mediaTitle,
+      discordUserId ? discordUserId.toString() : null,
+      source,
+      status
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error adding Overseerr request:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a tracked Overseerr request
+ */
+export function getOverseerrRequest(requestId) {
+  try {
+    return getOverseerrRequestStmt.get(Number(requestId)) || null;
+  } catch (error) {
+    console.error('Error getting Overseerr request:', error);
+    return null;
+  }
+}
+
+/**
+ * Update the status of a tracked Overseerr request
+ * @param {string|null} statusMessage - Decline reason or failure message, if any
+ */
+export function updateOverseerrRequestStatus(requestId, status, statusMessage = null) {
+  try {
+    const result = updateOverseerrRequestStatusStmt.run(status, statusMessage, Number(requestId));
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error updating Overseerr request status:', error);
+    return false;
+  }
+}
+
+/**
+ * Count the requests a user made through the bot within a rolling window
+ * @param {string} discordUserId - Discord ID of the requester
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {number} windowDays - Length of the window in days
+ * @returns {Object} { count, oldest } where oldest is the UTC timestamp of the oldest counted request
+ */
+export function getRequestQuotaUsage(discordUserId, mediaType, windowDays) {
+  try {
+    const row = getRequestQuotaUsageStmt.get(discordUserId.toString(), mediaType, `-${Number(windowDays)} days`);
+    return { count: row.count, oldest: row.oldest };
+  } catch (error) {
+    console.error('Error getting request quota usage:', error);
+    return { count: 0, oldest: null };
+  }
+}
+
+/**
+ * Remember the admin channel message asking to approve a request
+ */
+export function saveApprovalMessage(requestId, channelId, messageId) {
+  try {
+    saveApprovalMessageStmt.run(Number(requestId), channelId.toString(), messageId.toString());
+    return true;
+  } catch (error) {
+    console.error('Error saving approval message:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the approval message posted for a request
+ */
+export function getApprovalMessage(requestId) {
+  try {
+    return getApprovalMessageStmt.get(Number(requestId)) || null;
+  } catch (error) {
+    console.error('Error getting approval message:', error);
+    return null;
+  }
+}
+
+/**
+ * Forget the approval message of a request once it has been acted on
+ */
+export function removeApprovalMessage(requestId) {
+  try {
+    const result = removeApprovalMessageStmt.run(Number(requestId));
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error removing approval message:', error);
+    return false;
+  }
+}
+
+/**
+ * Get every Discord to Overseerr user mapping
+ */
+export function getUserMappings() {
+  try {
+    return getUserMappingsStmt.all();
+  } catch (error) {
+    console.error('Error getting user mappings:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the mapping of a Discord user
+ */
+export function getUserMappingByDiscordId(discordUserId) {
+  try {
+    return getUserMappingByDiscordIdStmt.get(discordUserId.toString()) || null;
+  } catch (error) {
+    console.error('Error getting user mapping by Discord ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the mapping of an Overseerr user
+ */
+export function getUserMappingByOverseerrId(overseerrUserId) {
+  try {
+    return getUserMappingByOverseerrIdStmt.get(Number(overseerrUserId)) || null;
+  } catch (error) {
+    console.error('Error getting user mapping by Overseerr ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Map a Discord user to an Overseerr user
+ * Any previous mapping of either user is replaced
+ */
+export function setUserMapping(discordUserId, overseerrUserId) {
+  try {
+    setUserMappingTransaction(discordUserId.toString(), Number(overseerrUserId));
+    return true;
+  } catch (error) {
+    console.error('Error setting user mapping:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove the mappings of a Discord user
+ * @returns {boolean} True if a mapping was removed
+ */
+export function removeUserMappingByDiscordId(discordUserId) {
+  try {
+    const result = removeUserMappingsByDiscordIdStmt.run(discordUserId.toString());
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error removing user mapping by Discord ID:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove the mapping of an Overseerr user
+ * @returns {boolean} True if a mapping was removed
+ */
+export function removeUserMappingByOverseerrId(overseerrUserId) {
+  try {
+    const result = removeUserMappingByOverseerrIdStmt.run(Number(overseerrUserId));
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error removing user mapping by Overseerr ID:', error);
+    return false;
+  }
+}
+
+/**
+ * Seed the user mappings from OVERSEERR_USER_MAP the first time the bot starts
+ * After that the table is managed with !mapping and the environment variable is ignored
+ * @param {Object} userMap - {"overseerr_id":"discord_id"}
+ * @returns {number} Number of mappings imported, 0 if the table was already seeded
+ */
+export function seedUserMappings(userMap) {
+  try {
+    return seedUserMappingsTransaction(userMap || {});
+  } catch (error) {
+    console.error('Error seeding user mappings:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get the permission rules of a command
+ * @returns {Array} Rows of { command, type, target_id }
+ */
+export function getCommandPermissions(command) {
+  try {
+    return getCommandPermissionsStmt.all(command);
+  } catch (error) {
+    console.error('Error getting command permissions:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the permission rules of every command
+ */
+export function getAllCommandPermissions() {
+  try {
+    return getAllCommandPermissionsStmt.all();
+  } catch (error) {
+    console.error('Error getting all command permissions:', error);
+    return [];
+  }
+}
+
+/**
+ * Allow a role, user or channel for a command
+ * @param {string} type - 'role', 'user' or 'channel'
+ * @returns {boolean} True if the rule was added, false if it existed or failed
+ */
+export function addCommandPermission(command, type, targetId) {
+  try {
+    const result = addCommandPermissionStmt.run(command, type, targetId.toString());
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error adding command permission:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a role, user or channel from a command
+ * @returns {boolean} True if a rule was removed
+ */
+export function removeCommandPermission(command, type, targetId) {
+  try {
+    const result = removeCommandPermissionStmt.run(command, type, targetId.toString());
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error removing command permission:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove every rule of a command, so its defaults apply again
+ * @returns {number} Number of rules removed
+ */
+export function clearCommandPermissions(command) {
+  try {
+    return clearCommandPermissionsStmt.run(command).changes;
+  } catch (error) {
+    console.error('Error clearing command permissions:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get a persisted bot state value
+ */
+export function getBotState(key, defaultValue = null) {
+  try {
+    const row = getBotStateStmt.get(key);
+    return row ? row.value : defaultValue;
+  } catch (error) {
+    console.error('Error getting bot state:', error);
+    return defaultValue;
+  }
+}
+
+/**
+ * Persist a bot state value
+ */
+export function setBotState(key, value) {
+  try {
+    setBotStateStmt.run(key, value === null || value === undefined ? null : value.toString());
+    return true;
+  } catch (error) {
+    console.error('Error setting bot state:', error);
+    return false;
+  }
+}
+
+/**
+ * Write an online copy of the database to a file, the bot keeps working while it runs
+ * @param {string} destination - Path of the copy
+ * @returns {Promise<Object>} { totalPages, remainingPages }
+ */
+export async function backupDatabase(destination) {
+  return db.backup(destination);
+}
+
+/**
+ * Replace the contents of the database with a backup and bring it to the current schema
+ * The copy goes through SQLite's backup API into the open database file, so the
+ * connection and its prepared statements keep working and see the restored data
+ * @param {string} source - Path of the backup file
+ * @throws {Error} When the backup is damaged or was made by a newer PlexMate
+ */
+export async function restoreDatabase(source) {
+  const snapshot = new Database(source, { readonly: true, fileMustExist: true });
+  try {
+    if (snapshot.pragma('quick_check', { simple: true }) !== 'ok') {
+      throw new Error('The backup file is damaged');
+    }
+
+    const migrations = await loadMigrations();
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+    const snapshotVersion = getSchemaVersion(snapshot);
+    if (snapshotVersion > latest) {
+      throw new Error(`The backup is at schema version ${snapshotVersion}, newer than this version of PlexMate (${latest})`);
+    }
+
+    await snapshot.backup(dbPath);
+  } finally {
+    snapshot.close();
+  }
+
+  await runMigrations(db);
+}
+
 /**
  * Add a new download event to history
+ * @param {Object} event - eventType, source, mediaType and title, plus whichever of qualityName,
+ *   sizeBytes, downloadClient, seriesId, movieId, seasonNumber, episodeNumber, episodeCount and data are known
  */
-export function addDownloadHistory(eventType, source, mediaType, title, quality, size, downloadClient, data = {}) {
+export function addDownloadHistory({
+  eventType,
+  source,
+  mediaType,
+  title,
+  qualityName = null,
+  sizeBytes = null,
+  downloadClient = null,
+  seriesId = null,
+  movieId = null,
+  seasonNumber = null,
+  episodeNumber = null,
+  episodeCount = null,
+  data = {}
+}) {
   try {
-    const jsonData = JSON.stringify(data);
-    addDownloadHistoryStmt.run(eventType, source, mediaType, title, quality, size, downloadClient, jsonData);
+    addDownloadHistoryStmt.run({
+      eventType,
+      source,
+      mediaType,
+      title,
+      qualityName,
+      sizeBytes,
+      downloadClient,
+      seriesId,
+      movieId,
+      seasonNumber,
+      episodeNumber,
+      episodeCount,
+      data: JSON.stringify(data)
+    });
     return true;
   } catch (error) {
     console.error('Error adding download history:', error);
@@ -197,7 +902,7 @@ export function getDistinctRecentDownloads(limit = 10) {
   try {
     console.log(`Getting distinct recent downloads with limit: ${limit}`);
     const stmt = db.prepare(`
-      SELECT DISTINCT title, media_type, quality, source, MAX(timestamp) as timestamp 
+      SELECT DISTINCT title, media_type, COALESCE(quality_name, quality) AS quality, source, MAX(timestamp) as timestamp 
       FROM download_history 
       GROUP BY title 
       ORDER BY timestamp DESC 
@@ -255,3 +960,26 @@ export function checkRecentDownloadHistoryExists(source, title, hoursWindow = 2)
     return null;
   }
 }
+
+/**
+ * Aggregate the download history for the !stats report
+ * @param {number|null} days - Only count the last N days, null for all time
+ * @param {number} limit - Number of rows in the top series, busiest days and client lists
+ * @returns {Object|null} { counts, totalBytes, topSeries, busiestDays, clients } where counts
+ *   holds { source, event_type, count } rows
+ */
+export function getDownloadStats(days = null, limit = 5) {
+  try {
+    const params = { days: days === null ? null : Number(days), limit };
+    return {
+      counts: getDownloadEventCountsStmt.all(params),
+      totalBytes: getDownloadedBytesStmt.get(params).bytes,
+      topSeries: getTopSeriesStmt.all(params),
+      busiestDays: getBusiestDaysStmt.all(params),
+      clients: getDownloadClientsStmt.all(params)
+    };
+  } catch (error) {
+    console.error('Error getting download statistics:', error);
+    return null;
+  }
+}
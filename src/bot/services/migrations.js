@@ -0,0 +1,126 @@
+import { readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+/**
+ * Versioned schema migrations for bot.db
+ *
+ * Migrations live in src/bot/migrations as numbered files (002_add_something.js) that
+ * export a description and an up(db) function. The highest applied number is kept in the
+ * schema_version table. Pending migrations run in order on startup, each in its own
+ * transaction together with its schema_version row, so a failing migration leaves the
+ * database at the previous version.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const migrationsDir = join(__dirname, '..', 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Thrown to roll back a dry run once every migration has run
+class DryRunRollback extends Error {}
+
+/**
+ * Load the migration files in version order
+ * @returns {Promise<Array>} { version, name, description, up }
+ */
+export async function loadMigrations() {
+  const files = readdirSync(migrationsDir).filter(file => MIGRATION_FILE.test(file));
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const migration = await import(pathToFileURL(join(migrationsDir, file)).href);
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${file} does not export an up(db) function`);
+    }
+    migrations.push({ version: Number(version), name, description: migration.description || name, up: migration.up });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  const duplicate = migrations.find((migration, index) => index > 0 && migration.version === migrations[index - 1].version);
+  if (duplicate) {
+    throw new Error(`There is more than one migration numbered ${duplicate.version}`);
+  }
+
+  return migrations;
+}
+
+/**
+ * Get the schema version of a database
+ * @param {Object} db - better-sqlite3 database
+ * @returns {number} Highest applied migration, 0 for a database without migrations
+ */
+export function getSchemaVersion(db) {
+  const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get();
+  if (!table) {
+    return 0;
+  }
+  return db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_version').get().version;
+}
+
+/**
+ * Bring a database up to the latest schema
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Run the pending migrations and roll them back
+ * @returns {Promise<Object>} { from, to, pending } - pending lists the migrations that were (or would be) applied
+ * @throws {Error} When the database is newer than the code, or a migration fails
+ */
+export async function runMigrations(db, { dryRun = false } = {}) {
+  const migrations = await loadMigrations();
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const current = getSchemaVersion(db);
+
+  if (current > latest) {
+    throw new Error(
+      `The database is at schema version ${current}, but this version of PlexMate only knows migrations up to ${latest}. ` +
+      'It was probably used by a newer PlexMate. Update PlexMate, or restore a backup made with this version.'
+    );
+  }
+
+  const pending = migrations.filter(migration => migration.version > current);
+  const result = { from: current, to: latest, pending };
+  if (!pending.length) {
+    return result;
+  }
+
+  const apply = migration => {
+    try {
+      migration.up(db);
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    } catch (error) {
+      throw new Error(`Database migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+  };
+
+  if (dryRun) {
+    // Later migrations can depend on earlier ones, so all of them run in one transaction
+    try {
+      db.transaction(() => {
+        pending.forEach(apply);
+        throw new DryRunRollback();
+      })();
+    } catch (error) {
+      if (!(error instanceof DryRunRollback)) {
+        throw error;
+      }
+    }
+    return result;
+  }
+
+  for (const migration of pending) {
+    db.transaction(apply)(migration);
+    console.log(`Applied database migration ${migration.version}: ${migration.description}`);
+  }
+
+  return result;
+}
@@ -0,0 +1,385 @@
+import { EmbedBuilder } from 'discord.js';
+import { client } from '../index.js';
+import { searchTMDB, searchTMDBById } from './tmdb.js';
+import {
+  getSubscription,
+  updateSubscription,
+  removeSubscription,
+  savePendingEpisodeBatch,
+  getPendingEpisodeBatch,
+  getPendingEpisodeBatches,
+  removePendingEpisodeBatch,
+  recordSentNotification,
+  hasSentNotification
+} from './database.js';
+
+/**
+ * Subscriber notifications shared by the Plex/Tautulli, Sonarr/Radarr and Overseerr webhooks,
+ * plus request status messages for requesters
+ *
+ * Every availability DM is recorded in sent_notifications, so when the same movie, season or
+ * episode is announced by more than one source each subscriber is only notified once.
+ */
+
+// Timers for batched episode notifications, the batches themselves are stored in SQLite
+const episodeTimers = new Map(); // key: userId_showId, value: setTimeout handle
+
+/**
+ * Get a poster, preferring the exact TMDB entry over a title search
+ * @param {number|null} tmdbId - TMDB id of the item, if known
+ * @param {string} title - Title to search for when there is no id
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {Promise<string|undefined>} TMDB poster path
+ */
+export async function getPosterPath(tmdbId, title, mediaType) {
+  if (tmdbId) {
+    const details = await searchTMDBById(tmdbId, mediaType);
+    if (details?.poster_path) return details.poster_path;
+  }
+
+  const results = await searchTMDB(title, mediaType);
+  return results[0]?.poster_path;
+}
+
+/**
+ * Send an availability DM with the poster as thumbnail
+ */
+async function sendAvailabilityMessage(userId, title, description, posterPath) {
+  const user = await client.users.fetch(userId);
+
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(description)
+    .setColor(0x00ff00);
+
+  if (posterPath) {
+    embed.setThumbnail(`https://image.tmdb.org/t/p/w500${posterPath}`);
+  }
+
+  await user.send({ embeds: [embed] });
+}
+
+/**
+ * Remove a subscription once its release notification has been delivered
+ */
+function removeNotifiedSubscription(sub) {
+  const success = removeSubscription(sub.user_id, sub.media_id);
+  if (!success) {
+    console.error('Error removing subscription:', { userId: sub.user_id, mediaId: sub.media_id });
+  } else {
+    console.log(`Successfully removed ${sub.media_type} subscription after notification`);
+  }
+}
+
+const sendBatchedNotification = async (userId, showId) => {
+  episodeTimers.delete(`${userId}_${showId}`);
+
+  try {
+    const notifications = getPendingEpisodeBatch(userId, showId);
+    if (!notifications || !notifications.episodes.length) {
+      removePendingEpisodeBatch(userId, showId);
+      return;
+    }
+
+    // Get show details from subscription
+    const subscription = getSubscription(userId, showId);
+    if (!subscription) {
+      // User unsubscribed while the batch was pending
+      console.log('No subscription found for batched episodes, dropping batch:', { userId, showId });
+      removePendingEpisodeBatch(userId, showId);
+      return;
+    }
+
+    if (!subscription.episode_subscription) {
+      console.log('Subscription no longer wants episode notifications, dropping batch:', { userId, showId });
+      removePendingEpisodeBatch(userId, showId);
+      return;
+    }
+
+    // Group episodes by season
+    const seasons = notifications.episodes.reduce((acc, ep) => {
+      acc[ep.season] = acc[ep.season] || [];
+      acc[ep.season].push(ep.episode);
+      return acc;
+    }, {});
+
+    await sendAvailabilityMessage(
+      userId,
+      `New Episodes Available: ${subscription.media_title}`,
+      Object.entries(seasons).map(([season, episodes]) =>
+        `**Season ${season}**: ${episodes.length} new episode${episodes.length > 1 ? 's' : ''}` +
+        (episodes.length <= 10 ? ` (Episode${episodes.length > 1 ? 's' : ''} ${episodes.sort((a, b) => a - b).join(', ')})` : '')
+      ).join('\n'),
+      notifications.poster_path
+    );
+
+    for (const ep of notifications.episodes) {
+      recordSentNotification(userId, showId, ep.season, ep.episode, ep.source);
+    }
+
+    // Update last notified episode/season with the latest episode in the batch
+    const latest = notifications.episodes.reduce((max, ep) =>
+      (ep.season > max.season || (ep.season === max.season && ep.episode > max.episode)) ? ep : max
+    );
+    const success = updateSubscription(
+      userId.toString(),
+      showId.toString(),
+      latest.season,
+      latest.episode
+    );
+
+    if (!success) {
+      console.error('Failed to update subscription:', { userId, showId });
+    }
+
+    // Clear the notifications
+    removePendingEpisodeBatch(userId, showId);
+  } catch (error) {
+    console.error('Error sending batched notification:', error);
+
+    // Keep the batch for the next restart unless the user can never receive DMs
+    if (error.code === 50007) { // Cannot send messages to this user
+      removePendingEpisodeBatch(userId, showId);
+    }
+  }
+};
+
+// (Re)start the timer that flushes a pending batch at its due time
+const scheduleBatchedNotification = (userId, showId, dueAt) => {
+  const key = `${userId}_${showId}`;
+
+  // Clear existing timer
+  if (episodeTimers.has(key)) {
+    clearTimeout(episodeTimers.get(key));
+  }
+
+  const delay = Math.max(0, dueAt - Date.now());
+  episodeTimers.set(key, setTimeout(() => {
+    sendBatchedNotification(userId, showId);
+  }, delay));
+};
+
+// Add episodes to the user's pending batch and push its due time back
+// Returns the number of episodes that were not already queued or sent
+const queueEpisodeNotifications = (userId, showId, episodes, posterPath, delay) => {
+  const pending = getPendingEpisodeBatch(userId, showId);
+  const queuedEpisodes = pending?.episodes || [];
+  let added = 0;
+
+  for (const episode of episodes) {
+    const alreadyQueued = queuedEpisodes.some(ep => ep.season === episode.season && ep.episode === episode.episode);
+    if (!alreadyQueued && !hasSentNotification(userId, showId, episode.season, episode.episode)) {
+      queuedEpisodes.push(episode);
+      added++;
+    }
+  }
+
+  if (!added) {
+    return 0;
+  }
+
+  const dueAt = Date.now() + delay;
+  if (!savePendingEpisodeBatch(userId, showId, queuedEpisodes, pending?.poster_path || posterPath, dueAt)) {
+    console.error('Failed to save pending episode batch:', { userId, showId });
+    return 0;
+  }
+
+  scheduleBatchedNotification(userId, showId, dueAt);
+  return added;
+};
+
+/**
+ * Reload batches that were pending when the bot stopped; overdue ones are sent right away
+ */
+export function restorePendingEpisodeBatches() {
+  const pendingBatches = getPendingEpisodeBatches();
+  if (!pendingBatches.length) return;
+
+  console.log(`Restoring ${pendingBatches.length} pending episode notification batch(es)`);
+  for (const batch of pendingBatches) {
+    scheduleBatchedNotification(batch.user_id, batch.media_id, batch.due_at);
+  }
+}
+
+// DM content for each request status the requester is told about
+const REQUEST_STATUS_MESSAGES = {
+  approved: {
+    title: 'Request Approved ✅',
+    description: title => `Your request for **${title}** was approved and will be downloaded soon.`,
+    color: 0x0099ff
+  },
+  declined: {
+    title: 'Request Declined ❌',
+    description: title => `Your request for **${title}** was declined.`,
+    color: 0xff0000
+  },
+  failed: {
+    title: 'Request Failed ⚠️',
+    description: title => `Your request for **${title}** was approved, but it could not be sent to Sonarr/Radarr. An admin will need to retry it.`,
+    color: 0xffa500
+  }
+};
+
+/**
+ * Tell a requester that their Overseerr request changed status
+ * Only approvals, declines and failures are sent, availability is announced through subscriptions
+ * @param {Object} request - Tracked request row (overseerr_requests) with its new status
+ * @returns {Promise<boolean>} Whether a message was sent
+ */
+export async function notifyRequestStatus(request) {
+  const template = REQUEST_STATUS_MESSAGES[request.status];
+  if (!template || !request.discord_user_id) {
+    return false;
+  }
+
+  try {
+    let title = request.media_title;
+    let posterPath = null;
+    const details = await searchTMDBById(request.media_id, request.media_type);
+    if (details) {
+      title = title || details.title || details.name;
+      posterPath = details.poster_path;
+    }
+    title = title || `Unknown ${request.media_type} (ID: ${request.media_id})`;
+
+    const user = await client.users.fetch(request.discord_user_id);
+
+    const embed = new EmbedBuilder()
+      .setTitle(template.title)
+      .setDescription(template.description(title))
+      .setColor(template.color);
+
+    if (request.status_message) {
+      embed.addFields({
+        name: request.status === 'declined' ? 'Reason' : 'Details',
+        value: request.status_message.substring(0, 1024)
+      });
+    }
+
+    if (posterPath) {
+      embed.setThumbnail(`https://image.tmdb.org/t/p/w500${posterPath}`);
+    }
+
+    await user.send({ embeds: [embed] });
+    console.log(`Sent ${request.status} notification for request ${request.request_id} to user ${request.discord_user_id}`);
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${request.status} notification for request ${request.request_id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Notify movie subscribers that a movie is available and remove their subscriptions
+ * @param {Array} subscriptions - Subscriptions for the movie
+ * @param {Object} movie - Movie information
+ * @param {string} movie.title - Movie title
+ * @param {string} [movie.posterPath] - TMDB poster path
+ * @param {string} movie.source - Where the event came from ('plex', 'radarr')
+ */
+export async function notifyMovieAvailable(subscriptions, { title, posterPath, source }) {
+  for (const sub of subscriptions) {
+    try {
+      if (hasSentNotification(sub.user_id, sub.media_id)) {
+        console.log(`Skipping movie notification for user ${sub.user_id}: "${title}" was already announced`);
+        removeNotifiedSubscription(sub);
+        continue;
+      }
+
+      console.log('Sending movie notification to user:', sub.user_id);
+      await sendAvailabilityMessage(
+        sub.user_id,
+        'New Movie Available! 🎉',
+        `**${title}** is now available on Plex!`,
+        posterPath
+      );
+      recordSentNotification(sub.user_id, sub.media_id, 0, 0, source);
+
+      // Remove subscription after notification
+      removeNotifiedSubscription(sub);
+    } catch (error) {
+      console.error('Error sending movie notification:', error);
+    }
+  }
+}
+
+/**
+ * Notify show subscribers about new episodes of a single season
+ *
+ * Episode subscribers get the episodes added to their batched notification. Release-only
+ * subscribers are told about a new show on S1E1, and about any new season when the
+ * episodes arrive as a season bundle.
+ * @param {Array} subscriptions - Subscriptions for the show
+ * @param {Object} content - Episode information
+ * @param {string} content.showTitle - Show title
+ * @param {number} content.seasonNumber - Season the episodes belong to
+ * @param {Array<number>} content.episodes - Episode numbers
+ * @param {boolean} content.isSeasonBundle - Whether the episodes arrived as one season bundle
+ * @param {string} [content.posterPath] - TMDB poster path
+ * @param {string} content.source - Where the event came from ('plex', 'sonarr')
+ */
+export async function notifyEpisodesAvailable(subscriptions, { showTitle, seasonNumber, episodes, isSeasonBundle, posterPath, source }) {
+  for (const sub of subscriptions) {
+    try {
+      if (sub.episode_subscription) {
+        // Bundled episodes are sent almost immediately (1 second), single episodes are
+        // batched and sent 5 minutes after the last new episode
+        const added = queueEpisodeNotifications(
+          sub.user_id,
+          sub.media_id,
+          episodes.map(episode => ({ season: seasonNumber, episode, source })),
+          posterPath,
+          isSeasonBundle ? 1000 : 5 * 60 * 1000
+        );
+        console.log(`Added ${added} episode notification(s) for user ${sub.user_id} (batched)`);
+        continue;
+      }
+
+      // "Release only" subscriptions: a single episode only counts if it is S1E1, a season
+      // bundle announces any new season (season 1 only if it contains episode 1)
+      const shouldNotify = isSeasonBundle
+        ? (seasonNumber !== 1 || episodes.includes(1))
+        : (seasonNumber === 1 && episodes.includes(1));
+
+      if (!shouldNotify) {
+        console.log(`Skipping release notification for user ${sub.user_id}: "${showTitle}" S${seasonNumber} episodes ${episodes.join(', ')} - ` +
+          (isSeasonBundle ? "Season 1 bundle doesn't include Episode 1" : 'only S1E1 triggers release notifications'));
+        continue;
+      }
+
+      if (hasSentNotification(sub.user_id, sub.media_id, seasonNumber)) {
+        console.log(`Skipping release notification for user ${sub.user_id}: "${showTitle}" Season ${seasonNumber} was already announced`);
+        if (seasonNumber === 1) {
+          removeNotifiedSubscription(sub);
+        }
+        continue;
+      }
+
+      if (isSeasonBundle) {
+        console.log(`Sending new season notification to user ${sub.user_id} for Season ${seasonNumber}`);
+        await sendAvailabilityMessage(
+          sub.user_id,
+          'New Season Available! 🎉',
+          `**${showTitle} - Season ${seasonNumber}** is now available on Plex!`,
+          posterPath
+        );
+      } else {
+        console.log('Sending show release notification to user:', sub.user_id);
+        await sendAvailabilityMessage(
+          sub.user_id,
+          'New Show Available! 🎉',
+          `**${showTitle}** is now available on Plex!`,
+          posterPath
+        );
+      }
+      recordSentNotification(sub.user_id, sub.media_id, seasonNumber, 0, source);
+
+      // Only remove subscription for first season, keep it for future seasons
+      if (seasonNumber === 1) {
+        removeNotifiedSubscription(sub);
+      }
+    } catch (error) {
+      console.error('Error processing show subscription:', error);
+    }
+  }
+}
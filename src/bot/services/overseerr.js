@@ -1,4 +1,6 @@
 import fetch from 'node-fetch';
+import { addOverseerrRequest, getUserMappingByDiscordId, getUserMappingByOverseerrId } from './database.js';
+import { postApprovalRequest } from './approvals.js';
 
 // Track request IDs created through the bot to avoid duplicate subscriptions
 export const botInitiatedRequestIds = new Set();
@@ -20,36 +22,14 @@ function getOverseerrApiKey() {
   return key;
 }
 
-function getUserMap() {
-  const rawMap = process.env.OVERSEERR_USER_MAP;
-  if (!rawMap) {
-    console.error('OVERSEERR_USER_MAP is empty or undefined! Check your .env file.');
-    return {};
-  }
-  
-  try {
-    const userMap = JSON.parse(rawMap);
-    return userMap;
-  } catch (error) {
-    console.error('Failed to parse OVERSEERR_USER_MAP:', error);
-    return {};
-  }
-}
-
 // Overseerr user mapping helper functions
-// Format: {"overseerr_id":"discord_id"}
-// Example: {"1":"265316362900078592"}
+// Mappings live in the user_mappings table (seeded from OVERSEERR_USER_MAP on first start)
 
 // Get Overseerr ID from Discord ID (for requests)
 function getOverseerId(discordId) {
-  const userMap = getUserMap();
-  const targetDiscordId = discordId?.toString();
-  
-  // Find Overseerr ID that maps to this Discord ID
-  for (const [overseerId, mappedDiscordId] of Object.entries(userMap)) {
-    if (mappedDiscordId === targetDiscordId) {
-      return Number(overseerId);
-    }
+  const mapping = discordId ? getUserMappingByDiscordId(discordId) : null;
+  if (mapping) {
+    return Number(mapping.overseerr_user_id);
   }
   
   // Get fallback ID from environment variable or default to 1
@@ -59,9 +39,10 @@ function getOverseerId(discordId) {
 
 // Get Discord ID from Overseerr ID (for notifications)
 export function getDiscordId(overseerId) {
-  const userMap = getUserMap();
-  const id = overseerId?.toString();
-  return userMap[id];
+  if (!overseerId) {
+    return undefined;
+  }
+  return getUserMappingByOverseerrId(overseerId)?.discord_user_id;
 }
 
 async function getRadarrServers() {
@@ -140,11 +121,81 @@ export async function getMediaDetails(mediaType, mediaId) {
 import { getReleaseInfo } from './tmdb.js';
 import arrService from './arr.js';
 
-export async function checkAvailability(mediaType, mediaId) {
+// Overseerr media status values (MediaStatus), used for whole shows and single seasons
+const MEDIA_STATUS = {
+  UNKNOWN: 1,
+  PENDING: 2,
+  PROCESSING: 3,
+  PARTIALLY_AVAILABLE: 4,
+  AVAILABLE: 5
+};
+
+/**
+ * Get the status of every season of a show from its Overseerr details
+ * Specials (season 0) are left out. Seasons are 'available', 'partial', 'pending'
+ * (requested or downloading) or 'missing', and only missing seasons can be requested
+ * @param {Object} details - TV details from getMediaDetails
+ * @param {boolean} [is4k] - Use the 4K status of each season
+ * @returns {Array<Object>} { seasonNumber, name, episodeCount, airDate, status, requestable }
+ */
+export function getSeasonStatuses(details, is4k = false) {
+  if (!details?.seasons?.length) return [];
+
+  const seasonInfo = details.mediaInfo?.seasons || [];
+  const statusField = is4k ? 'status4k' : 'status';
+
+  // Seasons in requests that are still pending or approved but not yet in Sonarr
+  const requestedSeasons = new Set(
+    (details.mediaInfo?.requests || [])
+      .filter(request => !!request.is4k === is4k && (request.status === 1 || request.status === 2))
+      .flatMap(request => request.seasons || [])
+      .map(season => season.seasonNumber)
+  );
+
+  return details.seasons
+    .filter(season => season.seasonNumber > 0)
+    .sort((a, b) => a.seasonNumber - b.seasonNumber)
+    .map(season => {
+      const mediaStatus = seasonInfo.find(info => info.seasonNumber === season.seasonNumber)?.[statusField] || MEDIA_STATUS.UNKNOWN;
+
+      let status = 'missing';
+      if (mediaStatus === MEDIA_STATUS.AVAILABLE) {
+        status = 'available';
+      } else if (mediaStatus === MEDIA_STATUS.PARTIALLY_AVAILABLE) {
+        status = 'partial';
+      } else if (mediaStatus === MEDIA_STATUS.PENDING || mediaStatus === MEDIA_STATUS.PROCESSING || requestedSeasons.has(season.seasonNumber)) {
+        status = 'pending';
+      }
+
+      return {
+        seasonNumber: season.seasonNumber,
+        name: season.name || `Season ${season.seasonNumber}`,
+        episodeCount: season.episodeCount,
+        airDate: season.airDate,
+        status,
+        requestable: status === 'missing'
+      };
+    });
+}
+
+/**
+ * Check whether a movie or show is available, in Sonarr/Radarr or still to be released
+ * `isAvailable4k` always reports the 4K copy (Overseerr's mediaInfo.status4k). With
+ * `is4k` set the result describes the 4K copy instead of the regular one
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {number} mediaId - TMDB id
+ * @param {Object} [options]
+ * @param {boolean} [options.is4k] - Check the 4K copy
+ * @returns {Promise<Object>} Availability result
+ */
+export async function checkAvailability(mediaType, mediaId, { is4k = false } = {}) {
   try {
     const details = await getMediaDetails(mediaType, mediaId);
+    const status4k = details.mediaInfo?.status4k;
     let result = {
       isAvailable: details.mediaInfo?.status === 5,
+      isAvailable4k: status4k === MEDIA_STATUS.AVAILABLE,
+      status4k,
       details,
       notAvailableReason: null,
       releaseStatus: null,
@@ -208,7 +259,7 @@ export async function checkAvailability(mediaType, mediaId) {
       }
       
       console.log(`Final availability for ${mediaType} ${mediaId}: ${result.isAvailable}`);
-      return result;
+      return is4k ? applyStatus4k(result, mediaType) : result;
     }
     
     // For movies, check additional information
@@ -289,7 +340,7 @@ export async function checkAvailability(mediaType, mediaId) {
       console.log(`Final availability for ${mediaType} ${mediaId}: ${result.isAvailable}`);
     }
     
-    return result;
+    return is4k ? applyStatus4k(result, mediaType) : result;
   } catch (error) {
     console.error('Error checking availability:', error);
     return {
@@ -299,6 +350,21 @@ export async function checkAvailability(mediaType, mediaId) {
   }
 }
 
+// Describe the 4K copy in an availability result. Sonarr/Radarr checks only cover the
+// regular servers, so Overseerr's 4K status decides whether it is available or on its way
+function applyStatus4k(result, mediaType) {
+  const isPending = [MEDIA_STATUS.PENDING, MEDIA_STATUS.PROCESSING, MEDIA_STATUS.PARTIALLY_AVAILABLE].includes(result.status4k);
+  
+  console.log(`4K availability: ${result.isAvailable4k} (status4k: ${result.status4k})`);
+  return {
+    ...result,
+    isAvailable: result.isAvailable4k,
+    inSonarr: mediaType === 'tv' && isPending,
+    inRadarr: mediaType === 'movie' && isPending,
+    notAvailableReason: isPending ? 'in_4k_not_downloaded' : null
+  };
+}
+
 // Function to specifically check if Season 1 Episode 1 exists
 export async function checkIfS1E1Exists(mediaDetails) {
   try {
@@ -323,7 +389,171 @@ export async function checkIfS1E1Exists(mediaDetails) {
   }
 }
 
-export async function createRequest({ mediaType, mediaId, userId }) {
+/**
+ * Error for request routing options that don't match the Overseerr configuration
+ * The message is meant to be shown to the admin who made the request
+ */
+export class RequestRoutingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RequestRoutingError';
+  }
+}
+
+// Pick the default server of the requested kind (regular or 4K), falling back to the first one
+function selectServer(servers, is4k) {
+  const candidates = servers.filter(server => !!server.is4k === is4k);
+  return candidates.find(server => server.isDefault) || candidates[0];
+}
+
+// Get the quality profiles, root folders and language profiles of a Radarr/Sonarr server
+async function getServiceDetails(mediaType, serverId) {
+  const url = getOverseerrUrl();
+  const apiKey = getOverseerrApiKey();
+  const service = mediaType === 'movie' ? 'radarr' : 'sonarr';
+  
+  const response = await fetch(
+    `${url}/api/v1/service/${service}/${serverId}`,
+    {
+      headers: {
+        'X-Api-Key': apiKey
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${service} server ${serverId}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+// Per-genre routing rules for requests
+// Format: [{"genres":["Animation"],"mediaType":"tv","rootFolder":"/tv/kids","profile":"HD-720p"}]
+// Rules may also set "server" and "languageProfile", and only apply to 4K requests
+// when they have "is4k": true. The first matching rule wins
+function getRoutingRules() {
+  const rawRules = process.env.REQUEST_ROUTING_RULES;
+  if (!rawRules) {
+    return [];
+  }
+  
+  try {
+    const rules = JSON.parse(rawRules);
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    console.error('Failed to parse REQUEST_ROUTING_RULES:', error);
+    return [];
+  }
+}
+
+// Find the first routing rule matching a title's media type and genres
+function findRoutingRule(mediaType, genres, is4k) {
+  const genreNames = (genres || []).map(genre => genre.name?.toLowerCase());
+  const genreIds = (genres || []).map(genre => genre.id);
+  
+  return getRoutingRules().find(rule => {
+    if ((rule.mediaType && rule.mediaType !== mediaType) || !!rule.is4k !== is4k) {
+      return false;
+    }
+    
+    const ruleGenres = Array.isArray(rule.genres) ? rule.genres : [rule.genres ?? rule.genre];
+    return ruleGenres.some(genre =>
+      typeof genre === 'number' ? genreIds.includes(genre) : genreNames.includes(String(genre).toLowerCase())
+    );
+  }) || null;
+}
+
+// Match a configured value against options by id or (case-insensitive) name
+function findOption(options, value, getName) {
+  const text = String(value).trim().toLowerCase();
+  return options.find(option => String(option.id) === text || getName(option)?.toLowerCase() === text);
+}
+
+/**
+ * Work out the server, quality profile, root folder and language profile for a request
+ * Admin overrides win over the genre routing rules, which win over the server defaults
+ * @param {Object} options
+ * @param {string} options.mediaType - 'movie' or 'tv'
+ * @param {number} options.mediaId - TMDB id
+ * @param {boolean} options.is4k - Use the 4K servers
+ * @param {Object} [options.overrides] - { server, profile, rootFolder, languageProfile } names or ids
+ * @returns {Promise<Object>} { server, profileId, rootFolder, languageProfileId, rule }
+ */
+export async function resolveRequestRouting({ mediaType, mediaId, is4k = false, overrides = {} }) {
+  const servers = mediaType === 'movie' ? await getRadarrServers() : await getSonarrServers();
+  const serviceName = mediaType === 'movie' ? 'Radarr' : 'Sonarr';
+  
+  const hasOverrides = Object.values(overrides).some(Boolean);
+  let rule = null;
+  if (!hasOverrides) {
+    const details = await getMediaDetails(mediaType, mediaId);
+    rule = findRoutingRule(mediaType, details?.genres, is4k);
+    if (rule) {
+      console.log(`Applying routing rule for ${mediaType} ${mediaId}:`, rule);
+    }
+  }
+  const routing = { ...(rule || {}), ...overrides };
+  
+  let server;
+  if (routing.server) {
+    server = findOption(servers, routing.server, option => option.name);
+    if (!server) {
+      throw new RequestRoutingError(`Unknown ${serviceName} server "${routing.server}". Available servers: ${servers.map(option => option.name).join(', ')}`);
+    }
+    if (!!server.is4k !== is4k) {
+      throw new RequestRoutingError(`${server.name} is ${server.is4k ? 'a 4K' : 'not a 4K'} server. ${server.is4k ? 'Add --4k to request from it.' : 'Remove --4k to request from it.'}`);
+    }
+  } else {
+    server = selectServer(servers, is4k);
+  }
+  
+  if (!server) {
+    throw new Error(`No ${is4k ? '4K ' : ''}${serviceName} server configured`);
+  }
+  
+  const result = {
+    server,
+    profileId: server.activeProfileId,
+    rootFolder: server.activeDirectory,
+    languageProfileId: server.activeLanguageProfileId,
+    rule
+  };
+  
+  if (!routing.profile && !routing.rootFolder && !routing.languageProfile) {
+    return result;
+  }
+  
+  const serviceDetails = await getServiceDetails(mediaType, server.id);
+  
+  if (routing.profile) {
+    const profile = findOption(serviceDetails.profiles || [], routing.profile, option => option.name);
+    if (!profile) {
+      throw new RequestRoutingError(`Unknown quality profile "${routing.profile}" on ${server.name}. Available profiles: ${(serviceDetails.profiles || []).map(option => option.name).join(', ')}`);
+    }
+    result.profileId = profile.id;
+  }
+  
+  if (routing.rootFolder) {
+    const folder = findOption(serviceDetails.rootFolders || [], routing.rootFolder, option => option.path);
+    if (!folder) {
+      throw new RequestRoutingError(`Unknown root folder "${routing.rootFolder}" on ${server.name}. Available folders: ${(serviceDetails.rootFolders || []).map(option => option.path).join(', ')}`);
+    }
+    result.rootFolder = folder.path;
+  }
+  
+  if (routing.languageProfile && mediaType === 'tv') {
+    const languageProfile = findOption(serviceDetails.languageProfiles || [], routing.languageProfile, option => option.name);
+    if (!languageProfile) {
+      throw new RequestRoutingError(`Unknown language profile "${routing.languageProfile}" on ${server.name}. Available language profiles: ${(serviceDetails.languageProfiles || []).map(option => option.name).join(', ') || 'none'}`);
+    }
+    result.languageProfileId = languageProfile.id;
+  }
+  
+  return result;
+}
+
+export async function createRequest({ mediaType, mediaId, userId, mediaTitle = null, seasons = [1], is4k = false, overrides = {} }) {
   try {
     // Get the user's Overseerr ID
     const overseerId = getOverseerId(userId);
@@ -333,39 +563,27 @@ export async function createRequest({ mediaType, mediaId, userId }) {
       mediaType,
       mediaId,
       userId: overseerId,
-      is4k: false
+      is4k
     };
 
-    // Get server configurations
-    let serverConfig;
-    if (mediaType === 'movie') {
-      const radarrServers = await getRadarrServers();
-      serverConfig = radarrServers.find(server => server.isDefault) || radarrServers[0];
-      
-      if (!serverConfig) {
-        throw new Error('No Radarr server configured');
-      }
+    // Pick server, profile and folders from admin overrides, routing rules or the server defaults
+    const routing = await resolveRequestRouting({ mediaType, mediaId, is4k, overrides });
+    console.log(`Routing ${mediaType} ${mediaId} to ${routing.server.name}: profile ${routing.profileId}, root folder ${routing.rootFolder}`);
 
-      Object.assign(requestBody, {
-        serverId: serverConfig.id,
-        profileId: serverConfig.activeProfileId,
-        rootFolder: serverConfig.activeDirectory
-      });
-    } else if (mediaType === 'tv') {
-      const sonarrServers = await getSonarrServers();
-      serverConfig = sonarrServers.find(server => server.isDefault) || sonarrServers[0];
-      
-      if (!serverConfig) {
-        throw new Error('No Sonarr server configured');
+    Object.assign(requestBody, {
+      serverId: routing.server.id,
+      profileId: routing.profileId,
+      rootFolder: routing.rootFolder
+    });
+
+    if (mediaType === 'tv') {
+      if (!seasons?.length) {
+        throw new Error('No seasons selected for TV request');
       }
 
-      // Always request only season 1 for TV shows
       Object.assign(requestBody, {
-        serverId: serverConfig.id,
-        profileId: serverConfig.activeProfileId,
-        rootFolder: serverConfig.activeDirectory,
-        seasons: [1],
-        languageProfileId: serverConfig.activeLanguageProfileId
+        seasons,
+        languageProfileId: routing.languageProfileId
       });
     }
 
@@ -397,6 +615,22 @@ export async function createRequest({ mediaType, mediaId, userId }) {
       // Track bot-initiated request IDs to prevent duplicate subscriptions
       if (responseData && responseData.id) {
         botInitiatedRequestIds.add(responseData.id);
+        // Track the request so the requester hears about approval, decline or failure
+        // Overseerr request status 2 = approved (auto-approve), anything else is still pending
+        addOverseerrRequest({
+          requestId: responseData.id,
+          mediaType,
+          mediaId,
+          mediaTitle,
+          discordUserId: userId,
+          source: 'bot',
+          status: responseData.status === 2 ? 'approved' : 'pending'
+        });
+
+        // Requests that weren't auto-approved go to the admin channel for approval
+        if (responseData.status !== 2) {
+          postApprovalRequest(responseData, { mediaTitle, discordUserId: userId });
+        }
       }
       
       return responseData;
@@ -407,4 +641,124 @@ export async function createRequest({ mediaType, mediaId, userId }) {
     console.error('Error in createRequest:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Approve or decline a pending Overseerr request
+ * @param {number} requestId - Overseerr request ID
+ * @param {string} action - 'approve' or 'decline'
+ * @returns {Promise<Object>} The updated request
+ */
+export async function updateRequestApproval(requestId, action) {
+  if (action !== 'approve' && action !== 'decline') {
+    throw new Error(`Invalid request action: ${action}`);
+  }
+
+  const url = getOverseerrUrl();
+  const apiKey = getOverseerrApiKey();
+
+  const response = await fetch(
+    `${url}/api/v1/request/${requestId}/${action}`,
+    {
+      method: 'POST',
+      headers: {
+        'X-Api-Key': apiKey
+      }
+    }
+  );
+
+  if (!response.ok) {
+    const responseText = await response.text();
+    throw new Error(`Overseerr API error: ${response.status} - ${responseText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch every Overseerr user
+ * @returns {Promise<Array>} Users with id, email, username, plexUsername and displayName
+ */
+export async function getOverseerrUsers() {
+  const url = getOverseerrUrl();
+  const apiKey = getOverseerrApiKey();
+  const pageSize = 100;
+  const users = [];
+
+  for (let skip = 0; ; skip += pageSize) {
+    const response = await fetch(
+      `${url}/api/v1/user?take=${pageSize}&skip=${skip}&sort=created`,
+      {
+        headers: {
+          'X-Api-Key': apiKey
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Overseerr users: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    users.push(...(data.results || []));
+
+    if (!data.pageInfo || skip + pageSize >= data.pageInfo.results) {
+      return users;
+    }
+  }
+}
+
+/**
+ * Fetch a single Overseerr user
+ * @param {number} overseerrUserId - Overseerr user ID
+ * @returns {Promise<Object|null>} The user, or null if it doesn't exist
+ */
+export async function getOverseerrUser(overseerrUserId) {
+  const url = getOverseerrUrl();
+  const apiKey = getOverseerrApiKey();
+
+  const response = await fetch(
+    `${url}/api/v1/user/${overseerrUserId}`,
+    {
+      headers: {
+        'X-Api-Key': apiKey
+      }
+    }
+  );
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Overseerr user ${overseerrUserId}: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Get the name an Overseerr user is best known by
+ * @param {Object} user - Overseerr user
+ * @returns {string} Display name, Plex username, username or email
+ */
+export function getOverseerrUserName(user) {
+  return user?.displayName || user?.plexUsername || user?.username || user?.email || `User ${user?.id}`;
+}
+
+/**
+ * Find an Overseerr user by email, Plex username or Overseerr username (case-insensitive)
+ * @param {string} identifier - Email or username given by the user
+ * @returns {Promise<Object|null>} The matching Overseerr user
+ */
+export async function findOverseerrUser(identifier) {
+  const value = identifier?.trim().toLowerCase();
+  if (!value) {
+    return null;
+  }
+
+  const users = await getOverseerrUsers();
+  return users.find(user =>
+    [user.email, user.plexUsername, user.username].some(field => field?.toLowerCase() === value)
+  ) || null;
+}
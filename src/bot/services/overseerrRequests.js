@@ -1,248 +1,491 @@
-import fetch from 'node-fetch';
-import { client } from '../index.js';
-import { getDiscordId, botInitiatedRequestIds, getMediaDetails } from './overseerr.js';
-import { EmbedBuilder } from 'discord.js';
-import { addSubscription } from '../services/database.js';
-
-// Utility functions to get environment variables when needed
-function getOverseerrUrl() {
-  const url = process.env.OVERSEERR_URL?.trim();
-  if (!url) {
-    console.error('OVERSEERR_URL is empty or undefined! Check your .env file.');
-  }
-  return url;
-}
-
-function getOverseerrApiKey() {
-  const key = process.env.OVERSEERR_API_KEY?.trim();
-  if (!key) {
-    console.error('OVERSEERR_API_KEY is empty or undefined! Check your .env file.');
-  }
-  return key;
-}
-
-// Keep track of the last request ID we've processed
-let lastProcessedRequestId = 0;
-
-async function getRequests() {
-  try {
-    console.log('[Overseerr Requests] Fetching recent requests from Overseerr...');
-    const url = getOverseerrUrl();
-    const apiKey = getOverseerrApiKey();
-    
-    console.log(`[Overseerr Requests] Using URL: ${url}/api/v1/request?take=20&skip=0&sort=added`);
-    
-    const response = await fetch(
-      `${url}/api/v1/request?take=20&skip=0&sort=added`,
-      {
-        headers: {
-          'X-Api-Key': apiKey
-        }
-      }
-    );
-
-    if (!response.ok) {
-      console.error(`[Overseerr Requests] API Error: ${response.status} ${response.statusText}`);
-      throw new Error(`Failed to fetch requests: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    console.log(`[Overseerr Requests] Successfully fetched ${data.results.length} recent requests`);
-    return data.results;
-  } catch (error) {
-    console.error('[Overseerr Requests] Error fetching Overseerr requests:', error);
-    return [];
-  }
-}
-
-// Process a request by adding it to the subscriptions table
-async function processRequest(request) {
-  try {
-    // Safety check for request structure
-    if (!request || !request.media) {
-      console.error('[Overseerr Requests] Invalid request object:', request);
-      return;
-    }
-    
-    // Since we might not have title directly in the request, get full media details
-    let mediaTitle = 
-      request.media.title || // Movies typically use title
-      request.media.name ||  // TV shows typically use name
-      request.media.originalTitle || 
-      request.media.originalName || 
-      null;
-      
-    const mediaId = request.media.tmdbId;
-    const mediaType = request.type;
-    
-    // If we don't have a title but have tmdbId, fetch complete details
-    if (!mediaTitle && mediaId) {
-      console.log(`[Overseerr Requests] No title found in request, fetching details for ${mediaType} with TMDB ID ${mediaId}`);
-      
-      try {
-        const mediaDetails = await getMediaDetails(mediaType, mediaId);
-        
-        if (mediaDetails) {
-          console.log(`[Overseerr Requests] Successfully fetched media details for ${mediaType} ${mediaId}`);
-          
-          // Extract title based on media type
-          if (mediaType === 'movie') {
-            mediaTitle = mediaDetails.title || mediaDetails.originalTitle;
-          } else {
-            mediaTitle = mediaDetails.name || mediaDetails.originalName;
-          }
-          
-          console.log(`[Overseerr Requests] Retrieved title: "${mediaTitle}" for ${mediaType} ${mediaId}`);
-        } else {
-          console.warn(`[Overseerr Requests] Failed to get media details for ${mediaType} ${mediaId}`);
-        }
-      } catch (error) {
-        console.error(`[Overseerr Requests] Error fetching media details for ${mediaType} ${mediaId}:`, error);
-      }
-    }
-    
-    // Use a fallback title if we still don't have one
-    if (!mediaTitle) {
-      mediaTitle = `Unknown ${mediaType} (ID: ${mediaId || 'N/A'})`;
-    }
-    
-    console.log(`[Overseerr Requests] Processing request ID: ${request.id}, media: ${mediaTitle}`);
-    
-    // Check if we have all required data
-    if (!mediaId) {
-      console.error(`[Overseerr Requests] Missing tmdbId for request ${request.id}, cannot add subscription`);
-      return;
-    }
-    
-    if (!mediaType) {
-      console.error(`[Overseerr Requests] Missing media type for request ${request.id}, cannot add subscription`);
-      return;
-    }
-    
-    // Get the Discord user ID from our mapping
-    console.log(`[Overseerr Requests] Looking up Discord ID for Overseerr user ID: ${request.requestedBy?.id}`);
-    
-    if (!request.requestedBy || !request.requestedBy.id) {
-      console.error(`[Overseerr Requests] Missing requestedBy data for request ${request.id}, cannot add subscription`);
-      return;
-    }
-    
-    const discordUserId = getDiscordId(request.requestedBy.id.toString());
-    
-    if (!discordUserId) {
-      console.log(`[Overseerr Requests] No Discord user mapping found for Overseerr user ID: ${request.requestedBy.id}`);
-      return;
-    }
-
-    console.log(`[Overseerr Requests] Found Discord user ID: ${discordUserId}, adding to subscriptions`);
-    
-    // Add to subscriptions table
-    try {
-      console.log(`[Overseerr Requests] Adding subscription for ${mediaType} ${mediaId} (${mediaTitle}) for user ${discordUserId}`);
-      
-      const success = addSubscription(
-        discordUserId,
-        mediaId,
-        mediaType, 
-        mediaTitle,
-        false // Not episode specific
-      );
-      
-      if (success) {
-        console.log(`[Overseerr Requests] Successfully added subscription for ${mediaType} ${mediaId} for user ${discordUserId}`);
-      } else {
-        console.log(`[Overseerr Requests] Failed to add subscription for ${mediaType} ${mediaId} for user ${discordUserId}`);
-      }
-    } catch (error) {
-      console.error(`[Overseerr Requests] Failed to add subscription for user ${discordUserId}:`, error);
-    }
-  } catch (error) {
-    console.error('[Overseerr Requests] Error in processRequest:', error);
-  }
-}
-
-async function checkNewRequests() {
-  try {
-    console.log('[Overseerr Requests] Starting check for new requests...');
-    const requests = await getRequests();
-    
-    if (requests.length === 0) {
-      console.log('[Overseerr Requests] No requests found');
-      return;
-    }
-    
-    console.log(`[Overseerr Requests] Found ${requests.length} requests, last processed ID: ${lastProcessedRequestId}`);
-    
-    // Sort by ID (ascending) to process in order they were created
-    const sortedRequests = [...requests].sort((a, b) => a.id - b.id);
-    
-    // If this is first run (lastProcessedRequestId is 0), just set the latest ID without processing
-    if (lastProcessedRequestId === 0) {
-      // Get the highest ID from the requests and set it as our starting point
-      const highestId = Math.max(...sortedRequests.map(req => req.id));
-      console.log(`[Overseerr Requests] First run - setting last processed ID to ${highestId} without processing existing requests`);
-      lastProcessedRequestId = highestId;
-      return;
-    }
-    
-    // Find the newest request we haven't processed yet
-    for (const request of sortedRequests) {
-      // Detailed logging of request structure for debugging
-      if (request.id > lastProcessedRequestId) {
-        console.log(`[Overseerr Requests] New request found with ID: ${request.id}`);
-        console.log('[Overseerr Requests] Request object structure:', 
-          JSON.stringify({
-            id: request.id,
-            type: request.type,
-            has_media: !!request.media,
-            media_keys: request.media ? Object.keys(request.media) : [],
-            requestedBy_id: request.requestedBy?.id
-          }, null, 2)
-        );
-        
-        // Check if this request was created by the bot, if so, skip it to avoid duplicate subscriptions
-        if (botInitiatedRequestIds.has(request.id)) {
-          console.log(`[Overseerr Requests] Request ID ${request.id} was created by the bot, skipping to avoid duplicate subscription`);
-          lastProcessedRequestId = request.id;
-          continue;
-        }
-        
-        // Make sure we have valid media data before processing
-        if (!request.media) {
-          console.warn(`[Overseerr Requests] Request ${request.id} has no media data, skipping`);
-          lastProcessedRequestId = request.id; // Still update to avoid processing again
-          continue;
-        }
-        
-        const mediaTitle = 
-          request.media.title || // Movies typically use title
-          request.media.name ||  // TV shows typically use name
-          request.media.originalTitle || 
-          request.media.originalName || 
-          `Unknown (ID: ${request.media.tmdbId || 'N/A'})`;
-          
-        console.log(`[Overseerr Requests] Found new request ID: ${request.id} (${mediaTitle})`);
-        
-        await processRequest(request);
-        lastProcessedRequestId = request.id;
-        console.log(`[Overseerr Requests] Updated lastProcessedRequestId to: ${lastProcessedRequestId}`);
-      }
-    }
-  } catch (error) {
-    console.error('[Overseerr Requests] Error checking for new requests:', error);
-  }
-}
-
-// Start the periodic check
-export function startRequestChecking() {
-  console.log('[Overseerr Requests] Initializing request checking service...');
-  
-  // Run immediately on startup
-  checkNewRequests();
-  
-  // Then check periodically (every 30 seconds)
-  const intervalMinutes = 5;
-  console.log(`[Overseerr Requests] Setting up periodic check every ${intervalMinutes} minutes`);
-  
-  setInterval(checkNewRequests, intervalMinutes * 60 * 1000);
-}
+import fetch from 'node-fetch';
+import { client } from '../index.js';
+import { getDiscordId, botInitiatedRequestIds, getMediaDetails } from './overseerr.js';
+import { EmbedBuilder } from 'discord.js';
+import {
+  addSubscription,
+  getSubscription,
+  getSubscriptionsByMediaId,
+  addOverseerrRequest,
+  getOverseerrRequest,
+  updateOverseerrRequestStatus,
+  getBotState,
+  setBotState
+} from '../services/database.js';
+import { getPosterPath, notifyMovieAvailable, notifyRequestStatus } from './notifications.js';
+import { postApprovalRequest, closeApprovalMessage } from './approvals.js';
+
+// Utility functions to get environment variables when needed
+function getOverseerrUrl() {
+  const url = process.env.OVERSEERR_URL?.trim();
+  if (!url) {
+    console.error('OVERSEERR_URL is empty or undefined! Check your .env file.');
+  }
+  return url;
+}
+
+function getOverseerrApiKey() {
+  const key = process.env.OVERSEERR_API_KEY?.trim();
+  if (!key) {
+    console.error('OVERSEERR_API_KEY is empty or undefined! Check your .env file.');
+  }
+  return key;
+}
+
+// Keep track of the last request ID the poller has processed, persisted so requests
+// made while the bot was down are picked up after a restart
+const LAST_REQUEST_ID_KEY = 'overseerr_last_request_id';
+let lastProcessedRequestId = Number(getBotState(LAST_REQUEST_ID_KEY, 0));
+
+function setLastProcessedRequestId(requestId) {
+  lastProcessedRequestId = requestId;
+  setBotState(LAST_REQUEST_ID_KEY, requestId);
+}
+
+// Overseerr's numeric request status (MediaRequestStatus) as used in API responses
+const API_REQUEST_STATUS = {
+  1: 'pending',
+  2: 'approved',
+  3: 'declined',
+  4: 'failed'
+};
+
+// Overseerr's media status for media that is fully available
+const MEDIA_STATUS_AVAILABLE = 5;
+
+// Request status for each Overseerr notification type the webhook handles
+const WEBHOOK_REQUEST_STATUS = {
+  MEDIA_PENDING: 'pending',
+  MEDIA_APPROVED: 'approved',
+  MEDIA_AUTO_APPROVED: 'approved',
+  MEDIA_AVAILABLE: 'available',
+  MEDIA_DECLINED: 'declined',
+  MEDIA_FAILED: 'failed'
+};
+
+// Requests fetched per page when polling, and how many pages one poll may go back
+const REQUESTS_PAGE_SIZE = 20;
+const MAX_REQUEST_PAGES = 50;
+
+// Fetch one page of requests, newest first. Returns null when the page could not be fetched
+async function getRequests(skip = 0) {
+  try {
+    console.log(`[Overseerr Requests] Fetching requests ${skip + 1}-${skip + REQUESTS_PAGE_SIZE} from Overseerr...`);
+    const url = getOverseerrUrl();
+    const apiKey = getOverseerrApiKey();
+    
+    const response = await fetch(
+      `${url}/api/v1/request?take=${REQUESTS_PAGE_SIZE}&skip=${skip}&sort=added`,
+      {
+        headers: {
+          'X-Api-Key': apiKey
+        }
+      }
+    );
+
+    if (!response.ok) {
+      console.error(`[Overseerr Requests] API Error: ${response.status} ${response.statusText}`);
+      throw new Error(`Failed to fetch requests: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    console.log(`[Overseerr Requests] Successfully fetched ${data.results.length} requests`);
+    return data.results;
+  } catch (error) {
+    console.error('[Overseerr Requests] Error fetching Overseerr requests:', error);
+    return null;
+  }
+}
+
+// Fetch the requests added since lastRequestId, paging back until a page reaches a request the
+// poller has already processed, so bursts of more than one page between polls aren't skipped.
+// On the first run only the newest page is fetched. Returns null when a page could not be
+// fetched, processing a partial list would move the last processed id past the missing requests
+async function getRequestsSince(lastRequestId) {
+  const requests = new Map();
+  
+  for (let page = 0; page < MAX_REQUEST_PAGES; page++) {
+    const results = await getRequests(page * REQUESTS_PAGE_SIZE);
+    if (!results) {
+      return null;
+    }
+    
+    // Requests added while paging shift the pages, the map drops the repeats
+    for (const request of results) {
+      requests.set(request.id, request);
+    }
+    
+    const reachedProcessed = lastRequestId === 0 || results.some(request => request.id <= lastRequestId);
+    if (reachedProcessed || results.length < REQUESTS_PAGE_SIZE) {
+      return [...requests.values()];
+    }
+  }
+  
+  console.warn(`[Overseerr Requests] Stopped after ${MAX_REQUEST_PAGES} pages without reaching request ${lastRequestId}, older new requests are skipped`);
+  return [...requests.values()];
+}
+
+// Fetch a single request with its media and requester
+async function getRequest(requestId) {
+  try {
+    const url = getOverseerrUrl();
+    const apiKey = getOverseerrApiKey();
+    
+    const response = await fetch(
+      `${url}/api/v1/request/${requestId}`,
+      {
+        headers: {
+          'X-Api-Key': apiKey
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch request ${requestId}: ${response.status} ${response.statusText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error(`[Overseerr Requests] Error fetching request ${requestId}:`, error);
+    return null;
+  }
+}
+
+// Work out the bot's status for a request object from the Overseerr API
+function getRequestStatus(request) {
+  if (request.media?.status === MEDIA_STATUS_AVAILABLE) {
+    return 'available';
+  }
+  return API_REQUEST_STATUS[request.status] || 'pending';
+}
+
+// Pull a decline reason or failure message out of a webhook's "extra" fields
+function getWebhookStatusMessage(payload) {
+  const extra = Array.isArray(payload.extra) ? payload.extra : [];
+  const entry = extra.find(item => /reason|error|fail|message/i.test(item?.name || ''));
+  return entry?.value || null;
+}
+
+/**
+ * Record a new status for a tracked request, DM the requester about it and update
+ * its message in the admin approval queue
+ * Approvals only count while the request is still pending, so replays (or a poll
+ * seeing an old approval) never move a declined, failed or available request back
+ * @param {number} requestId - Overseerr request ID
+ * @param {string} status - New status
+ * @param {string|null} statusMessage - Decline reason or failure message, if known
+ * @param {string|null} actedBy - Discord ID of the admin who approved or declined it from Discord
+ * @returns {Promise<boolean>} Whether the status changed
+ */
+export async function applyRequestStatus(requestId, status, statusMessage = null, actedBy = null) {
+  const tracked = getOverseerrRequest(requestId);
+  if (!tracked || tracked.status === status) {
+    return false;
+  }
+
+  if ((status === 'pending' || status === 'approved') && tracked.status !== 'pending') {
+    return false;
+  }
+
+  const message = statusMessage || tracked.status_message;
+  updateOverseerrRequestStatus(requestId, status, message);
+  console.log(`[Overseerr Requests] Request ID ${requestId} changed from ${tracked.status} to ${status}`);
+
+  await closeApprovalMessage(requestId, status, { actedBy, reason: message });
+  await notifyRequestStatus({ ...tracked, status, status_message: message });
+  return true;
+}
+
+// Process a request by adding it to the subscriptions table
+async function processRequest(request, source = 'poll') {
+  try {
+    // Safety check for request structure
+    if (!request || !request.media) {
+      console.error('[Overseerr Requests] Invalid request object:', request);
+      return;
+    }
+    
+    // The webhook and the poller can both see a request, only process it once
+    if (getOverseerrRequest(request.id)) {
+      console.log(`[Overseerr Requests] Request ID ${request.id} was already processed, skipping`);
+      return;
+    }
+    
+    // Since we might not have title directly in the request, get full media details
+    let mediaTitle = 
+      request.media.title || // Movies typically use title
+      request.media.name ||  // TV shows typically use name
+      request.media.originalTitle || 
+      request.media.originalName || 
+      null;
+      
+    const mediaId = request.media.tmdbId;
+    const mediaType = request.type;
+    
+    // If we don't have a title but have tmdbId, fetch complete details
+    if (!mediaTitle && mediaId) {
+      console.log(`[Overseerr Requests] No title found in request, fetching details for ${mediaType} with TMDB ID ${mediaId}`);
+      
+      try {
+        const mediaDetails = await getMediaDetails(mediaType, mediaId);
+        
+        if (mediaDetails) {
+          console.log(`[Overseerr Requests] Successfully fetched media details for ${mediaType} ${mediaId}`);
+          
+          // Extract title based on media type
+          if (mediaType === 'movie') {
+            mediaTitle = mediaDetails.title || mediaDetails.originalTitle;
+          } else {
+            mediaTitle = mediaDetails.name || mediaDetails.originalName;
+          }
+          
+          console.log(`[Overseerr Requests] Retrieved title: "${mediaTitle}" for ${mediaType} ${mediaId}`);
+        } else {
+          console.warn(`[Overseerr Requests] Failed to get media details for ${mediaType} ${mediaId}`);
+        }
+      } catch (error) {
+        console.error(`[Overseerr Requests] Error fetching media details for ${mediaType} ${mediaId}:`, error);
+      }
+    }
+    
+    // Use a fallback title if we still don't have one
+    if (!mediaTitle) {
+      mediaTitle = `Unknown ${mediaType} (ID: ${mediaId || 'N/A'})`;
+    }
+    
+    console.log(`[Overseerr Requests] Processing request ID: ${request.id}, media: ${mediaTitle}`);
+    
+    // Check if we have all required data
+    if (!mediaId) {
+      console.error(`[Overseerr Requests] Missing tmdbId for request ${request.id}, cannot add subscription`);
+      return;
+    }
+    
+    if (!mediaType) {
+      console.error(`[Overseerr Requests] Missing media type for request ${request.id}, cannot add subscription`);
+      return;
+    }
+    
+    // Get the Discord user ID from our mapping
+    console.log(`[Overseerr Requests] Looking up Discord ID for Overseerr user ID: ${request.requestedBy?.id}`);
+    
+    const discordUserId = request.requestedBy?.id ? getDiscordId(request.requestedBy.id.toString()) : null;
+    
+    // Track the request, with its requester when mapped, so later status changes can be reported
+    const status = getRequestStatus(request);
+    addOverseerrRequest({
+      requestId: request.id,
+      mediaType,
+      mediaId,
+      mediaTitle,
+      discordUserId,
+      source,
+      status
+    });
+    
+    if (status === 'pending') {
+      await postApprovalRequest(request, { mediaTitle, discordUserId });
+    }
+    
+    if (!request.requestedBy || !request.requestedBy.id) {
+      console.error(`[Overseerr Requests] Missing requestedBy data for request ${request.id}, cannot add subscription`);
+      return;
+    }
+    
+    if (!discordUserId) {
+      console.log(`[Overseerr Requests] No Discord user mapping found for Overseerr user ID: ${request.requestedBy.id}`);
+      return;
+    }
+
+    // A subscription made with !request may follow episodes, don't replace it with a plain one
+    if (getSubscription(discordUserId, mediaId)) {
+      console.log(`[Overseerr Requests] User ${discordUserId} is already subscribed to ${mediaType} ${mediaId}, keeping their subscription`);
+      return;
+    }
+
+    console.log(`[Overseerr Requests] Found Discord user ID: ${discordUserId}, adding to subscriptions`);
+    
+    // Add to subscriptions table
+    try {
+      console.log(`[Overseerr Requests] Adding subscription for ${mediaType} ${mediaId} (${mediaTitle}) for user ${discordUserId}`);
+      
+      const success = addSubscription(
+        discordUserId,
+        mediaId,
+        mediaType, 
+        mediaTitle,
+        false // Not episode specific
+      );
+      
+      if (success) {
+        console.log(`[Overseerr Requests] Successfully added subscription for ${mediaType} ${mediaId} for user ${discordUserId}`);
+      } else {
+        console.log(`[Overseerr Requests] Failed to add subscription for ${mediaType} ${mediaId} for user ${discordUserId}`);
+      }
+    } catch (error) {
+      console.error(`[Overseerr Requests] Failed to add subscription for user ${discordUserId}:`, error);
+    }
+  } catch (error) {
+    console.error('[Overseerr Requests] Error in processRequest:', error);
+  }
+}
+
+async function checkNewRequests() {
+  try {
+    console.log('[Overseerr Requests] Starting check for new requests...');
+    const requests = await getRequestsSince(lastProcessedRequestId);
+    if (!requests) {
+      console.log('[Overseerr Requests] Could not fetch all new requests, trying again on the next check');
+      return;
+    }
+    
+    if (requests.length === 0) {
+      console.log('[Overseerr Requests] No requests found');
+      return;
+    }
+    
+    console.log(`[Overseerr Requests] Found ${requests.length} requests, last processed ID: ${lastProcessedRequestId}`);
+    
+    // Sort by ID (ascending) to process in order they were created
+    const sortedRequests = [...requests].sort((a, b) => a.id - b.id);
+    
+    // Pick up status changes of requests we already track, in case their webhook was missed
+    for (const request of sortedRequests) {
+      if (getOverseerrRequest(request.id)) {
+        await applyRequestStatus(request.id, getRequestStatus(request));
+      }
+    }
+    
+    // If this is the first run ever (nothing persisted yet), just set the latest ID without processing
+    if (lastProcessedRequestId === 0) {
+      // Get the highest ID from the requests and set it as our starting point
+      const highestId = Math.max(...sortedRequests.map(req => req.id));
+      console.log(`[Overseerr Requests] First run - setting last processed ID to ${highestId} without processing existing requests`);
+      setLastProcessedRequestId(highestId);
+      return;
+    }
+    
+    // Find the newest request we haven't processed yet
+    for (const request of sortedRequests) {
+      // Detailed logging of request structure for debugging
+      if (request.id > lastProcessedRequestId) {
+        console.log(`[Overseerr Requests] New request found with ID: ${request.id}`);
+        console.log('[Overseerr Requests] Request object structure:', 
+          JSON.stringify({
+            id: request.id,
+            type: request.type,
+            has_media: !!request.media,
+            media_keys: request.media ? Object.keys(request.media) : [],
+            requestedBy_id: request.requestedBy?.id
+          }, null, 2)
+        );
+        
+        // Check if this request was created by the bot, if so, skip it to avoid duplicate subscriptions
+        if (botInitiatedRequestIds.has(request.id)) {
+          console.log(`[Overseerr Requests] Request ID ${request.id} was created by the bot, skipping to avoid duplicate subscription`);
+          setLastProcessedRequestId(request.id);
+          continue;
+        }
+        
+        // Make sure we have valid media data before processing
+        if (!request.media) {
+          console.warn(`[Overseerr Requests] Request ${request.id} has no media data, skipping`);
+          setLastProcessedRequestId(request.id); // Still update to avoid processing again
+          continue;
+        }
+        
+        const mediaTitle = 
+          request.media.title || // Movies typically use title
+          request.media.name ||  // TV shows typically use name
+          request.media.originalTitle || 
+          request.media.originalName || 
+          `Unknown (ID: ${request.media.tmdbId || 'N/A'})`;
+          
+        console.log(`[Overseerr Requests] Found new request ID: ${request.id} (${mediaTitle})`);
+        
+        await processRequest(request);
+        setLastProcessedRequestId(request.id);
+        console.log(`[Overseerr Requests] Updated lastProcessedRequestId to: ${lastProcessedRequestId}`);
+      }
+    }
+  } catch (error) {
+    console.error('[Overseerr Requests] Error checking for new requests:', error);
+  }
+}
+
+/**
+ * Handle a payload from Overseerr's webhook notification agent
+ * New requests are processed right away instead of waiting for the next poll,
+ * and each notification updates the tracked request status
+ * @param {Object} payload - Webhook payload (Overseerr's default JSON template)
+ * @returns {Promise<boolean>} Success
+ */
+export async function processOverseerrWebhook(payload) {
+  try {
+    const notificationType = payload?.notification_type;
+    if (!notificationType) {
+      console.error('[Overseerr Requests] Invalid Overseerr webhook payload');
+      return false;
+    }
+    
+    console.log(`[Overseerr Requests] Processing Overseerr webhook: ${notificationType}`);
+    
+    if (notificationType === 'TEST_NOTIFICATION') {
+      console.log('[Overseerr Requests] Received Overseerr test notification');
+      return true;
+    }
+    
+    const status = WEBHOOK_REQUEST_STATUS[notificationType];
+    if (!status) {
+      console.log(`[Overseerr Requests] Unhandled Overseerr notification type: ${notificationType}`);
+      return true; // Not an error, just not handling this event
+    }
+    
+    const requestId = Number(payload.request?.request_id);
+    if (!requestId) {
+      console.warn(`[Overseerr Requests] ${notificationType} webhook has no request id, skipping`);
+      return true;
+    }
+    
+    // The payload only carries the requester's email/username, so fetch the full
+    // request to map the Overseerr user to a Discord user
+    if (!getOverseerrRequest(requestId) && !botInitiatedRequestIds.has(requestId)) {
+      const request = await getRequest(requestId);
+      if (request) {
+        await processRequest(request, 'webhook');
+      }
+    }
+    
+    await applyRequestStatus(requestId, status, getWebhookStatusMessage(payload));
+    
+    // Episode availability is reported per episode by Plex/Sonarr, Overseerr only
+    // knows when a whole movie is available
+    if (status === 'available' && payload.media?.media_type === 'movie' && payload.media.tmdbId) {
+      const subscriptions = getSubscriptionsByMediaId(payload.media.tmdbId, 'movie');
+      if (subscriptions.length) {
+        const title = payload.subject || `Unknown movie (ID: ${payload.media.tmdbId})`;
+        const posterPath = await getPosterPath(Number(payload.media.tmdbId), title, 'movie');
+        await notifyMovieAvailable(subscriptions, { title, posterPath, source: 'overseerr' });
+      }
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('[Overseerr Requests] Error processing Overseerr webhook:', error);
+    return false;
+  }
+}
+
+// Start the periodic check
+export function startRequestChecking() {
+  console.log('[Overseerr Requests] Initializing request checking service...');
+  
+  // Run immediately on startup
+  checkNewRequests();
+  
+  // Then check periodically as a fallback for webhooks that were missed
+  const intervalMinutes = 5;
+  console.log(`[Overseerr Requests] Setting up periodic check every ${intervalMinutes} minutes`);
+  
+  setInterval(checkNewRequests, intervalMinutes * 60 * 1000);
+}
@@ -0,0 +1,112 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { getCommandPermissions, getAllCommandPermissions } from './database.js';
+
+/**
+ * Role, user and channel based permissions for the bot's commands
+ *
+ * Each command can be limited to channels, and separately to roles and users, with the
+ * rules stored in the command_permissions table. A command without channel rules works in
+ * its default channels: ALLOWED_CHANNEL_ID and ADMIN_CHANNEL_ID for regular commands,
+ * ADMIN_CHANNEL_ID for admin commands. A regular command without role or user rules can be
+ * used by everyone in those channels, an admin command only by members with Discord's
+ * Administrator or Manage Server permission. Administrators always pass the role and user
+ * check, so the bot can't be locked out of its own configuration.
+ */
+
+// Commands everyone can use by default
+export const REGULAR_COMMANDS = ['request', 'subscribe', 'list', 'unsubscribe', 'help', 'link'];
+
+// Commands only usable in the admin channel by default. `admin` covers admin actions
+// inside other commands: request routing flags, skipping request quotas, reviewing
+// requests and account links, and the admin section of the help
+export const ADMIN_COMMANDS = ['mapping', 'stats', 'permissions', 'backup', 'admin'];
+
+export const PERMISSION_COMMANDS = [...REGULAR_COMMANDS, ...ADMIN_COMMANDS];
+
+// Discord permissions that allow admin commands without role or user rules
+const SERVER_ADMIN_PERMISSIONS = [PermissionFlagsBits.Administrator, PermissionFlagsBits.ManageGuild];
+
+const NO_PERMISSION = { allowed: false, reason: 'role', message: "You don't have permission to use this command." };
+
+/**
+ * Get the channels a command works in when it has no channel rules
+ * @param {string} command - Command name
+ * @returns {Array<string>} Channel IDs
+ */
+export function getDefaultChannels(command) {
+  const channels = ADMIN_COMMANDS.includes(command)
+    ? [process.env.ADMIN_CHANNEL_ID]
+    : [process.env.ALLOWED_CHANNEL_ID, process.env.ADMIN_CHANNEL_ID];
+  return channels.filter(Boolean);
+}
+
+/**
+ * Check whether a channel is used by the bot at all, by default or through a channel rule
+ * Commands in other channels are ignored silently instead of answered with an error
+ * @param {string} channelId - Discord channel ID
+ * @returns {boolean}
+ */
+export function isBotChannel(channelId) {
+  if (channelId === process.env.ALLOWED_CHANNEL_ID || channelId === process.env.ADMIN_CHANNEL_ID) {
+    return true;
+  }
+  return getAllCommandPermissions().some(rule => rule.type === 'channel' && rule.target_id === channelId);
+}
+
+/**
+ * Check whether a user may run a command in a channel
+ * @param {string} command - Command name from PERMISSION_COMMANDS
+ * @param {Object} context
+ * @param {string} context.userId - Discord ID of the user
+ * @param {Object} [context.member] - Guild member, null in DMs
+ * @param {string} context.channelId - Channel the command was used in
+ * @returns {Object} { allowed, reason, message } - reason is 'channel' or 'role' when not allowed
+ */
+export function checkCommandPermission(command, { userId, member = null, channelId }) {
+  const rules = getCommandPermissions(command);
+  const ruleTargets = type => rules.filter(rule => rule.type === type).map(rule => rule.target_id);
+
+  const channelRules = ruleTargets('channel');
+  const allowedChannels = channelRules.length ? channelRules : getDefaultChannels(command);
+  if (!allowedChannels.includes(channelId)) {
+    return {
+      allowed: false,
+      reason: 'channel',
+      message: allowedChannels.length
+        ? `This command is only available in ${allowedChannels.map(id => `<#${id}>`).join(', ')}.`
+        : 'This command is not available in any channel.'
+    };
+  }
+
+  const roleRules = ruleTargets('role');
+  const userRules = ruleTargets('user');
+  if (!roleRules.length && !userRules.length) {
+    // Posting in the admin channel alone isn't enough for admin commands
+    if (ADMIN_COMMANDS.includes(command)) {
+      const isServerAdmin = SERVER_ADMIN_PERMISSIONS.some(flag => member?.permissions?.has?.(flag) === true);
+      return isServerAdmin ? { allowed: true } : NO_PERMISSION;
+    }
+    return { allowed: true };
+  }
+
+  const isAllowed =
+    userRules.includes(userId?.toString()) ||
+    roleRules.some(roleId => member?.roles?.cache?.has(roleId)) ||
+    member?.permissions?.has?.(PermissionFlagsBits.Administrator) === true;
+
+  return isAllowed ? { allowed: true } : NO_PERMISSION;
+}
+
+/**
+ * Check a command permission for a message, interaction adapter or interaction
+ * @param {Object} source - Anything with author/user, member and channelId
+ * @param {string} command - Command name from PERMISSION_COMMANDS
+ * @returns {boolean} Whether the command is allowed
+ */
+export function hasPermission(source, command) {
+  return checkCommandPermission(command, {
+    userId: (source.author || source.user)?.id,
+    member: source.member,
+    channelId: source.channelId
+  }).allowed;
+}
@@ -0,0 +1,112 @@
+import { getRequestQuotaUsage } from './database.js';
+import { hasPermission } from './permissions.js';
+
+/**
+ * Per-user request quotas for !request and /request
+ *
+ * Quotas count the requests each Discord user made through the bot in a rolling
+ * window, separately for movies and TV shows. Admins (the `admin` permission, by default
+ * Administrator or Manage Server in the admin channel) are not limited.
+ */
+
+const DEFAULT_WINDOW_DAYS = 7;
+
+// Parse a quota value, anything that isn't a positive number means unlimited
+function parseLimit(value) {
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : null;
+}
+
+function getWindowDays() {
+  const days = Number(process.env.REQUEST_QUOTA_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_WINDOW_DAYS;
+}
+
+// Role overrides for the default quotas
+// Format: {"role_id":{"movie":20,"tv":10}} - 0 means unlimited for that role
+function getRoleQuotas() {
+  const rawQuotas = process.env.REQUEST_QUOTA_ROLES;
+  if (!rawQuotas) {
+    return {};
+  }
+
+  try {
+    const roleQuotas = JSON.parse(rawQuotas);
+    return typeof roleQuotas === 'object' && roleQuotas !== null ? roleQuotas : {};
+  } catch (error) {
+    console.error('Failed to parse REQUEST_QUOTA_ROLES:', error);
+    return {};
+  }
+}
+
+/**
+ * Work out a member's quota for a media type
+ * When several of the member's roles set a quota the most generous one wins
+ * @param {Object} member - Discord guild member (may be null)
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {number|null} Requests allowed per window, null for unlimited
+ */
+export function getQuotaLimit(member, mediaType) {
+  const defaultLimit = parseLimit(mediaType === 'movie' ? process.env.REQUEST_QUOTA_MOVIE : process.env.REQUEST_QUOTA_TV);
+
+  const roleLimits = Object.entries(getRoleQuotas())
+    .filter(([roleId, quota]) => quota?.[mediaType] !== undefined && member?.roles?.cache?.has(roleId))
+    .map(([, quota]) => parseLimit(quota[mediaType]));
+
+  if (!roleLimits.length) {
+    return defaultLimit;
+  }
+
+  return roleLimits.includes(null) ? null : Math.max(...roleLimits);
+}
+
+/**
+ * Check whether the command author may make another request
+ * @param {Object} message - The Discord.js message (or interaction adapter)
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {Object} { allowed, limit, used, remaining, windowDays, resetsAt } - limit is null when unlimited,
+ *   resetsAt is when the oldest counted request leaves the window
+ */
+export function checkRequestQuota(message, mediaType) {
+  const windowDays = getWindowDays();
+  const limit = hasPermission(message, 'admin')
+    ? null
+    : getQuotaLimit(message.member, mediaType);
+
+  if (limit === null) {
+    return { allowed: true, limit: null, used: 0, remaining: null, windowDays, resetsAt: null };
+  }
+
+  const usage = getRequestQuotaUsage(message.author.id, mediaType, windowDays);
+  const resetsAt = usage.oldest
+    ? new Date(new Date(`${usage.oldest.replace(' ', 'T')}Z`).getTime() + windowDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  return {
+    allowed: usage.count < limit,
+    limit,
+    used: usage.count,
+    remaining: Math.max(limit - usage.count, 0),
+    windowDays,
+    resetsAt
+  };
+}
+
+/**
+ * Describe a quota for the requester
+ * @param {Object} quota - Result of checkRequestQuota
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {string} Explanation of the remaining quota or when it resets
+ */
+export function describeQuota(quota, mediaType) {
+  const label = mediaType === 'movie' ? 'movie' : 'TV show';
+  const period = quota.windowDays === 1 ? 'day' : `${quota.windowDays} days`;
+  const resetTime = quota.resetsAt ? `<t:${Math.floor(quota.resetsAt.getTime() / 1000)}:R>` : 'soon';
+  const plural = quota.limit === 1 ? '' : 's';
+
+  if (!quota.allowed) {
+    return `You've reached your limit of ${quota.limit} ${label} request${plural} per ${period}. You can request another ${label} ${resetTime}.`;
+  }
+
+  return `You have ${quota.remaining} of ${quota.limit} ${label} request${plural} per ${period} left.`;
+}
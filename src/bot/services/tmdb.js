@@ -1,4 +1,5 @@
 import fetch from 'node-fetch';
+import { ensureDataDir, getDataPath } from '../utils/dataDir.js';
 
 // Don't load API key at the module level
 // We'll access it from functions when needed
@@ -429,17 +430,10 @@ export async function fetchPopularTitles() {
     // Save the full list to a file for debugging
     try {
       const fs = await import('fs');
-      const path = await import('path');
-      
-      // Create data directory if it doesn't exist
-      const dataDir = path.join(process.cwd(), 'src/data');
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-        console.log(`Created data directory at: ${dataDir}`);
-      }
-      
+      ensureDataDir();
+
       // Write titles to file
-      const filePath = path.join(dataDir, 'cached_titles.json');
+      const filePath = getDataPath('cached_titles.json');
       fs.writeFileSync(filePath, JSON.stringify(processedTitles, null, 2));
       console.log(`   - Saved ${processedTitles.length} titles to ${filePath}`);
     } catch (err) {
@@ -578,6 +572,22 @@ export async function searchTMDB(query, mediaType = null) {
   }
 }
 
+/**
+ * Parse a TMDB reference in the form "tmdb:<movie|tv>:<id>"
+ * These are the values passed by slash command autocomplete suggestions
+ * @param {string} query - Raw query string
+ * @returns {Object|null} { mediaType, mediaId } or null if the query is not a reference
+ */
+export function parseTMDBReference(query) {
+  const match = query?.trim().match(/^tmdb:(movie|tv):(\d+)$/i);
+  if (!match) return null;
+
+  return {
+    mediaType: match[1].toLowerCase(),
+    mediaId: Number(match[2])
+  };
+}
+
 /**
  * Check release dates and types for a movie from TMDB API
  * @param {number} movieId - TMDB movie ID
@@ -724,6 +734,51 @@ export async function searchTMDBById(mediaId, mediaType) {
   }
 }
 
+/**
+ * Find a TMDB movie, TV show, episode or season from an external id
+ * Episode and season results carry the TMDB id of their show in show_id
+ * @param {string|number} externalId - The external id (e.g. a TVDB id or an IMDb id like tt0133093)
+ * @param {string} externalSource - 'tvdb_id' or 'imdb_id'
+ * @param {string} mediaType - Optional media type to prefer ('movie' or 'tv'), or 'episode'/'season'
+ * to look the id up as an episode or season
+ * @returns {Promise<Object|null>} TMDB result with media_type, or null if not found
+ */
+export async function findTMDBByExternalId(externalId, externalSource, mediaType = null) {
+  try {
+    // Get API key at runtime
+    const TMDB_API_KEY = getApiKey();
+    if (!TMDB_API_KEY) {
+      throw new Error('TMDB API key is not configured');
+    }
+
+    if (!externalId || !['tvdb_id', 'imdb_id'].includes(externalSource)) {
+      throw new Error('Invalid external id');
+    }
+
+    const url = `${TMDB_BASE_URL}/find/${encodeURIComponent(externalId)}?api_key=${TMDB_API_KEY}&external_source=${externalSource}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`TMDB API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const movies = (data.movie_results || []).map(result => ({ ...result, media_type: 'movie' }));
+    const shows = (data.tv_results || []).map(result => ({ ...result, media_type: 'tv' }));
+    const episodes = (data.tv_episode_results || []).map(result => ({ ...result, media_type: 'episode' }));
+    const seasons = (data.tv_season_results || []).map(result => ({ ...result, media_type: 'season' }));
+
+    if (mediaType === 'movie') return movies[0] || null;
+    if (mediaType === 'tv') return shows[0] || null;
+    if (mediaType === 'episode') return episodes[0] || null;
+    if (mediaType === 'season') return seasons[0] || null;
+    return movies[0] || shows[0] || null;
+  } catch (error) {
+    console.error(`Error finding TMDB entry for ${externalSource} ${externalId}:`, error.message);
+    return null;
+  }
+}
+
 export async function checkOverseerr(tmdbId) {
   try {
     if (!tmdbId || typeof tmdbId !== 'number') {
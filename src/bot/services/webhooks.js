@@ -1,11 +1,13 @@
 import * as database from './database.js';
+import { findTMDBByExternalId } from './tmdb.js';
+import { getPosterPath, notifyMovieAvailable, notifyEpisodesAvailable } from './notifications.js';
 
 /**
  * Service for handling webhooks from Sonarr and Radarr
  */
 class WebhookService {
   constructor() {
-    // No webhook secret needed as everything is locally hosted
+    // Requests are authenticated by the verifyWebhookSecret middleware before they reach this service
   }
 
   /**
@@ -94,25 +96,24 @@ class WebhookService {
 
       const episodeNumbers = episodes.map(ep => `S${ep.seasonNumber.toString().padStart(2, '0')}E${ep.episodeNumber.toString().padStart(2, '0')}`).join(' ');
       const title = `${series.title} - ${episodeNumbers}`;
-      const quality = release?.quality || 'Unknown';
-      const size = release?.size ? this.formatBytes(release.size) : 'Unknown';
-      const downloadClient = release?.downloadClient || 'Unknown';
 
       // Add to download history
-      database.addDownloadHistory(
-        'grab', 
-        'sonarr', 
-        'episode', 
-        title, 
-        quality, 
-        size, 
-        downloadClient, 
-        {
+      database.addDownloadHistory({
+        eventType: 'grab',
+        source: 'sonarr',
+        mediaType: 'episode',
+        title,
+        qualityName: release?.quality || null,
+        sizeBytes: release?.size || null,
+        downloadClient: release?.downloadClient || 'Unknown',
+        seriesId: series.id,
+        ...this.getEpisodeColumns(episodes),
+        data: {
           seriesId: series.id,
           episodeIds: episodes.map(ep => ep.id),
           releaseData: release
         }
-      );
+      });
 
       console.log(`Recorded Sonarr grab: ${title}`);
       return true;
@@ -138,27 +139,34 @@ class WebhookService {
 
       const episodeNumbers = episodes.map(ep => `S${ep.seasonNumber.toString().padStart(2, '0')}E${ep.episodeNumber.toString().padStart(2, '0')}`).join(' ');
       const title = `${series.title} - ${episodeNumbers}`;
-      const quality = episodeFile?.quality?.quality?.name || 'Unknown';
-      const size = episodeFile?.size ? this.formatBytes(episodeFile.size) : 'Unknown';
 
       // Add to download history
-      database.addDownloadHistory(
-        isUpgrade ? 'upgrade' : 'download', 
-        'sonarr', 
-        'episode', 
-        title, 
-        quality, 
-        size, 
-        'completed', 
-        {
+      database.addDownloadHistory({
+        eventType: isUpgrade ? 'upgrade' : 'download',
+        source: 'sonarr',
+        mediaType: 'episode',
+        title,
+        qualityName: episodeFile?.quality?.quality?.name || null,
+        sizeBytes: episodeFile?.size || null,
+        downloadClient: 'completed',
+        seriesId: series.id,
+        ...this.getEpisodeColumns(episodes),
+        data: {
           seriesId: series.id,
           episodeIds: episodes.map(ep => ep.id),
           episodeFileId: episodeFile?.id,
           isUpgrade
         }
-      );
+      });
 
       console.log(`Recorded Sonarr download: ${title}`);
+
+      // Upgrades replace a file subscribers already know about
+      if (!isUpgrade) {
+        this.notifySonarrSubscribers(series, episodes)
+          .catch(error => console.error('Error notifying subscribers for Sonarr download:', error));
+      }
+
       return true;
     } catch (error) {
       console.error('Error processing Sonarr download:', error);
@@ -173,7 +181,7 @@ class WebhookService {
    */
   processSonarrDelete(payload) {
     try {
-      const { series, episodeFile } = payload;
+      const { series, episodes, episodeFile } = payload;
       
       if (!series) {
         console.error('Invalid Sonarr delete payload structure');
@@ -183,19 +191,21 @@ class WebhookService {
       const title = series.title + (episodeFile ? ` - Episode File ${episodeFile.id}` : '');
 
       // Add to download history
-      database.addDownloadHistory(
-        'delete', 
-        'sonarr', 
-        'episode', 
-        title, 
-        episodeFile?.quality?.quality?.name || 'Unknown', 
-        episodeFile?.size ? this.formatBytes(episodeFile.size) : 'Unknown', 
-        'deleted', 
-        {
+      database.addDownloadHistory({
+        eventType: 'delete',
+        source: 'sonarr',
+        mediaType: 'episode',
+        title,
+        qualityName: episodeFile?.quality?.quality?.name || null,
+        sizeBytes: episodeFile?.size || null,
+        downloadClient: 'deleted',
+        seriesId: series.id,
+        ...this.getEpisodeColumns(episodes),
+        data: {
           seriesId: series.id,
           episodeFileId: episodeFile?.id
         }
-      );
+      });
 
       console.log(`Recorded Sonarr delete: ${title}`);
       return true;
@@ -220,18 +230,17 @@ class WebhookService {
       }
 
       // Add to download history
-      database.addDownloadHistory(
-        'delete', 
-        'sonarr', 
-        'series', 
-        series.title, 
-        'N/A', 
-        'N/A', 
-        'deleted', 
-        {
+      database.addDownloadHistory({
+        eventType: 'delete',
+        source: 'sonarr',
+        mediaType: 'series',
+        title: series.title,
+        downloadClient: 'deleted',
+        seriesId: series.id,
+        data: {
           seriesId: series.id
         }
-      );
+      });
 
       console.log(`Recorded Sonarr series delete: ${series.title}`);
       return true;
@@ -256,26 +265,24 @@ class WebhookService {
       }
 
       const title = movie.title + (movie.year ? ` (${movie.year})` : '');
-      const quality = release?.quality || 'Unknown';
-      const size = release?.size ? this.formatBytes(release.size) : 'Unknown';
-      const downloadClient = release?.downloadClient || 'Unknown';
 
       // Add to download history
-      database.addDownloadHistory(
-        'grab', 
-        'radarr', 
-        'movie', 
-        title, 
-        quality, 
-        size, 
-        downloadClient, 
-        {
+      database.addDownloadHistory({
+        eventType: 'grab',
+        source: 'radarr',
+        mediaType: 'movie',
+        title,
+        qualityName: release?.quality || null,
+        sizeBytes: release?.size || null,
+        downloadClient: release?.downloadClient || 'Unknown',
+        movieId: movie.id,
+        data: {
           movieId: movie.id,
           tmdbId: movie.tmdbId,
           imdbId: remoteMovie?.imdbId,
           releaseData: release
         }
-      );
+      });
 
       console.log(`Recorded Radarr grab: ${title}`);
       return true;
@@ -300,28 +307,34 @@ class WebhookService {
       }
 
       const title = movie.title + (movie.year ? ` (${movie.year})` : '');
-      const quality = movieFile?.quality?.quality?.name || 'Unknown';
-      const size = movieFile?.size ? this.formatBytes(movieFile.size) : 'Unknown';
 
       // Add to download history
-      database.addDownloadHistory(
-        isUpgrade ? 'upgrade' : 'download', 
-        'radarr', 
-        'movie', 
-        title, 
-        quality, 
-        size, 
-        'completed', 
-        {
+      database.addDownloadHistory({
+        eventType: isUpgrade ? 'upgrade' : 'download',
+        source: 'radarr',
+        mediaType: 'movie',
+        title,
+        qualityName: movieFile?.quality?.quality?.name || null,
+        sizeBytes: movieFile?.size || null,
+        downloadClient: 'completed',
+        movieId: movie.id,
+        data: {
           movieId: movie.id,
           tmdbId: movie.tmdbId,
           imdbId: remoteMovie?.imdbId,
           movieFileId: movieFile?.id,
           isUpgrade
         }
-      );
+      });
 
       console.log(`Recorded Radarr download: ${title}`);
+
+      // Upgrades replace a file subscribers already know about
+      if (!isUpgrade) {
+        this.notifyRadarrSubscribers(movie)
+          .catch(error => console.error('Error notifying subscribers for Radarr download:', error));
+      }
+
       return true;
     } catch (error) {
       console.error('Error processing Radarr download:', error);
@@ -329,6 +342,84 @@ class WebhookService {
     }
   }
 
+  /**
+   * Send availability notifications for episodes imported by Sonarr
+   * Subscriptions are stored by TMDB id, so the series is resolved from its tvdbId
+   * @param {Object} series - Series from the webhook payload
+   * @param {Array} episodes - Episodes from the webhook payload
+   */
+  async notifySonarrSubscribers(series, episodes) {
+    let tmdbId = series.tmdbId || null;
+
+    if (!tmdbId && series.tvdbId) {
+      const result = await findTMDBByExternalId(series.tvdbId, 'tvdb_id', 'tv');
+      tmdbId = result?.id || null;
+    }
+
+    if (!tmdbId && series.imdbId) {
+      const result = await findTMDBByExternalId(series.imdbId, 'imdb_id', 'tv');
+      tmdbId = result?.id || null;
+    }
+
+    if (!tmdbId) {
+      console.warn(`Could not resolve a TMDB id for Sonarr series "${series.title}" (tvdbId: ${series.tvdbId})`);
+      return;
+    }
+
+    const subscriptions = database.getSubscriptionsByMediaId(tmdbId, 'tv');
+    if (!subscriptions.length) {
+      console.log(`No subscriptions found for show: ${series.title}`);
+      return;
+    }
+
+    console.log(`Found ${subscriptions.length} subscription(s) for show: ${series.title}`);
+    const posterPath = await getPosterPath(tmdbId, series.title, 'tv');
+
+    // Multi-episode files can in theory span seasons, notify per season
+    const seasons = episodes.reduce((acc, ep) => {
+      acc[ep.seasonNumber] = acc[ep.seasonNumber] || [];
+      acc[ep.seasonNumber].push(ep.episodeNumber);
+      return acc;
+    }, {});
+
+    for (const [seasonNumber, episodeNumbers] of Object.entries(seasons)) {
+      await notifyEpisodesAvailable(subscriptions, {
+        showTitle: series.title,
+        seasonNumber: Number(seasonNumber),
+        episodes: episodeNumbers,
+        isSeasonBundle: false,
+        posterPath,
+        source: 'sonarr'
+      });
+    }
+  }
+
+  /**
+   * Send availability notifications for a movie imported by Radarr
+   * @param {Object} movie - Movie from the webhook payload
+   */
+  async notifyRadarrSubscribers(movie) {
+    if (!movie.tmdbId) {
+      console.warn(`Radarr movie "${movie.title}" has no TMDB id, skipping notifications`);
+      return;
+    }
+
+    const subscriptions = database.getSubscriptionsByMediaId(movie.tmdbId, 'movie');
+    if (!subscriptions.length) {
+      console.log(`No subscriptions found for movie: ${movie.title}`);
+      return;
+    }
+
+    console.log(`Found ${subscriptions.length} subscription(s) for movie: ${movie.title}`);
+    const posterPath = await getPosterPath(movie.tmdbId, movie.title, 'movie');
+
+    await notifyMovieAvailable(subscriptions, {
+      title: movie.title,
+      posterPath,
+      source: 'radarr'
+    });
+  }
+
   /**
    * Process a Radarr delete event
    * @param {Object} payload - Webhook payload
@@ -346,19 +437,20 @@ class WebhookService {
       const title = movie.title + (movie.year ? ` (${movie.year})` : '');
 
       // Add to download history
-      database.addDownloadHistory(
-        'delete', 
-        'radarr', 
-        'movie', 
-        title, 
-        movieFile?.quality?.quality?.name || 'Unknown', 
-        movieFile?.size ? this.formatBytes(movieFile.size) : 'Unknown', 
-        'deleted', 
-        {
+      database.addDownloadHistory({
+        eventType: 'delete',
+        source: 'radarr',
+        mediaType: 'movie',
+        title,
+        qualityName: movieFile?.quality?.quality?.name || null,
+        sizeBytes: movieFile?.size || null,
+        downloadClient: 'deleted',
+        movieId: movie.id,
+        data: {
           movieId: movie.id,
           movieFileId: movieFile?.id
         }
-      );
+      });
 
       console.log(`Recorded Radarr delete: ${title}`);
       return true;
@@ -385,18 +477,17 @@ class WebhookService {
       const title = movie.title + (movie.year ? ` (${movie.year})` : '');
 
       // Add to download history
-      database.addDownloadHistory(
-        'delete', 
-        'radarr', 
-        'movie', 
-        title, 
-        'N/A', 
-        'N/A', 
-        'deleted', 
-        {
+      database.addDownloadHistory({
+        eventType: 'delete',
+        source: 'radarr',
+        mediaType: 'movie',
+        title,
+        downloadClient: 'deleted',
+        movieId: movie.id,
+        data: {
           movieId: movie.id
         }
-      );
+      });
 
       console.log(`Recorded Radarr movie delete: ${title}`);
       return true;
@@ -407,17 +498,18 @@ class WebhookService {
   }
 
   /**
-   * Format bytes to human-readable size
-   * @param {number} bytes - Size in bytes
-   * @returns {string} Formatted size
+   * Season and episode columns of the download history for a webhook's episodes
+   * Multi-episode files are stored by their first episode and the episode count
+   * @param {Array} episodes - Episodes from the webhook payload
+   * @returns {Object} { seasonNumber, episodeNumber, episodeCount }
    */
-  formatBytes(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(1024));
-    
-    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${sizes[i]}`;
+  getEpisodeColumns(episodes) {
+    const [first] = episodes || [];
+    return {
+      seasonNumber: first?.seasonNumber ?? null,
+      episodeNumber: first?.episodeNumber ?? null,
+      episodeCount: episodes?.length || null
+    };
   }
 }
 
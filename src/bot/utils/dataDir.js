@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * The directory PlexMate keeps its files in: the SQLite database, title caches and backups
+ *
+ * Set with DATA_DIR, relative paths are resolved from the working directory. Without it
+ * this is the data folder in the project root, which is /app/data in Docker. Giving each
+ * instance its own DATA_DIR lets several bots run from one install.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', '..', 'data');
+
+/**
+ * Get the data directory
+ * @returns {string} Absolute path
+ */
+export function getDataDir() {
+  const dataDir = process.env.DATA_DIR?.trim();
+  return dataDir ? path.resolve(dataDir) : DEFAULT_DATA_DIR;
+}
+
+/**
+ * Get the path of a file in the data directory
+ * @param {...string} segments - Path inside the data directory
+ * @returns {string} Absolute path
+ */
+export function getDataPath(...segments) {
+  return path.join(getDataDir(), ...segments);
+}
+
+/**
+ * Create the data directory if needed and check that files can be written to it
+ * @returns {string} Absolute path of the data directory
+ * @throws {Error} When the directory can't be created or written to
+ */
+export function ensureDataDir() {
+  const dataDir = getDataDir();
+  const probeFile = path.join(dataDir, `.write-test-${process.pid}`);
+
+  try {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(probeFile, '');
+    fs.unlinkSync(probeFile);
+  } catch (error) {
+    throw new Error(
+      `The data directory ${dataDir} is not writable (${error.code || error.message}). ` +
+      'Create it and give the bot write access, or set DATA_DIR to a directory it can write to.'
+    );
+  }
+
+  return dataDir;
+}
@@ -0,0 +1,42 @@
+import { config } from 'dotenv';
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+
+/**
+ * Loads the .env file as soon as it is imported
+ * index.js imports this before anything else, because modules like database.js
+ * read settings such as DATA_DIR when they are first imported
+ */
+
+function loadEnvironment() {
+  // Load environment variables - try multiple paths to find .env
+  const envPaths = [
+    '.env',
+    '../.env',
+    '../../.env',
+    resolve(process.cwd(), '.env'),
+    resolve(process.cwd(), '../.env'),
+    '/root/plexassistant/Plexcord/.env'
+  ];
+
+  // Check if we're running in Docker environment
+  const isRunningInDocker = process.env.RUNNING_IN_DOCKER === 'true' || process.env.NODE_ENV === 'production';
+
+  if (isRunningInDocker) {
+    console.log('Running in Docker environment, using provided environment variables');
+    return;
+  }
+
+  // Traditional .env file loading for local development
+  for (const path of envPaths) {
+    if (existsSync(path)) {
+      console.log(`Loading environment from: ${path}`);
+      config({ path });
+      return;
+    }
+  }
+
+  console.log('Could not find .env file, attempting to load from process.env directly');
+}
+
+loadEnvironment();
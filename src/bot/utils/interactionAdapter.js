@@ -0,0 +1,55 @@
+/**
+ * Adapter that lets slash command interactions reuse the message-based command handlers
+ *
+ * Replies go through the interaction and return the sent Message, so the button and
+ * select menu pickers in interactivePicker.js can edit it and collect its components.
+ */
+
+/**
+ * Normalize reply arguments the same way Message#reply accepts them
+ * @param {string|Object} options - Content string or message options
+ * @returns {Object} Message options
+ */
+function toReplyOptions(options) {
+  if (typeof options === 'string') {
+    return { content: options };
+  }
+  return options || {};
+}
+
+/**
+ * Wrap a ChatInputCommandInteraction in an object that looks enough like a Message
+ * for the command handlers (author, channel, channelId and reply).
+ *
+ * The first reply edits the deferred interaction response, every later reply is sent
+ * as a follow-up. Both return the sent Message, which pickers edit and attach their
+ * component collectors to.
+ * @param {Object} interaction - The Discord.js command interaction (already deferred)
+ * @returns {Object} Message-like adapter
+ */
+export function createInteractionAdapter(interaction) {
+  let hasReplied = false;
+
+  return {
+    id: interaction.id,
+    interaction,
+    author: interaction.user,
+    member: interaction.member,
+    guild: interaction.guild,
+    channel: interaction.channel,
+    channelId: interaction.channelId,
+    content: '',
+
+    async reply(options) {
+      const replyOptions = toReplyOptions(options);
+
+      if (!hasReplied) {
+        hasReplied = true;
+        // Replaces the "thinking..." state of the deferred reply
+        return interaction.editReply(replyOptions);
+      }
+
+      return interaction.followUp(replyOptions);
+    }
+  };
+}
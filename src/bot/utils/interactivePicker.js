@@ -0,0 +1,355 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
+
+/**
+ * Interactive pickers built on Discord buttons and string select menus
+ * Used by the command handlers instead of reaction collectors
+ */
+
+const SELECT_ID = 'picker_select';
+const PREVIOUS_ID = 'picker_previous';
+const NEXT_ID = 'picker_next';
+const CANCEL_ID = 'picker_cancel';
+const SELECT_ALL_ID = 'picker_select_all';
+const CONFIRM_ID = 'confirm_yes';
+const DECLINE_ID = 'confirm_no';
+
+const NOT_YOUR_PICKER = 'Only the person who ran this command can use these controls.';
+
+/**
+ * Trim a string to Discord's select option limits
+ * @param {string} text - Text to trim
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Trimmed text
+ */
+function truncate(text, maxLength = 100) {
+  if (!text) return text;
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+/**
+ * Remove all components from a message, ignoring messages that were already deleted
+ * @param {Object} msg - The Discord.js message
+ */
+async function removeComponents(msg) {
+  try {
+    await msg.edit({ components: [] });
+  } catch (error) {
+    if (error.code !== 10008) { // Unknown Message error
+      console.error('Failed to remove message components:', error);
+    }
+  }
+}
+
+/**
+ * Build the select menu and navigation buttons for a page
+ * @param {Object} page - Page state
+ * @returns {Array} Action rows
+ */
+function buildPickerComponents({ pageItems, startIndex, currentPage, totalPages, getLabel, getDescription, placeholder, cancelLabel }) {
+  const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId(SELECT_ID)
+    .setPlaceholder(placeholder)
+    .addOptions(pageItems.map((item, i) => {
+      const index = startIndex + i;
+      const option = {
+        label: truncate(getLabel(item, index)),
+        value: index.toString()
+      };
+
+      const description = getDescription ? truncate(getDescription(item, index)) : null;
+      if (description) {
+        option.description = description;
+      }
+
+      return option;
+    }));
+
+  const buttons = [];
+
+  if (totalPages > 1) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(PREVIOUS_ID)
+        .setLabel('Previous')
+        .setEmoji('⬅️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(currentPage === 0),
+      new ButtonBuilder()
+        .setCustomId(NEXT_ID)
+        .setLabel('Next')
+        .setEmoji('➡️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(currentPage >= totalPages - 1)
+    );
+  }
+
+  buttons.push(
+    new ButtonBuilder()
+      .setCustomId(CANCEL_ID)
+      .setLabel(cancelLabel)
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return [
+    new ActionRowBuilder().addComponents(selectMenu),
+    new ActionRowBuilder().addComponents(...buttons)
+  ];
+}
+
+/**
+ * Reply with a paginated list and wait for the command author to pick an item
+ * @param {Object} message - The message (or interaction adapter) to reply to
+ * @param {Object} options - Picker options
+ * @param {Array} options.items - Items to choose from
+ * @param {Function} options.renderPage - ({ pageItems, startIndex, currentPage, totalPages }) => message options (may be async)
+ * @param {Function} options.getLabel - (item, index) => select option label
+ * @param {Function} [options.getDescription] - (item, index) => select option description
+ * @param {number} [options.pageSize] - Items per page (max 25)
+ * @param {number} [options.time] - Time in ms before the picker times out
+ * @param {string} [options.placeholder] - Select menu placeholder
+ * @param {string} [options.cancelLabel] - Cancel button label
+ * @returns {Promise<Object>} { status: 'selected'|'cancelled'|'timeout', item, index, pickerMsg }
+ */
+export async function showPicker(message, {
+  items,
+  renderPage,
+  getLabel,
+  getDescription = null,
+  pageSize = 5,
+  time = 60000,
+  placeholder = 'Make a selection',
+  cancelLabel = 'Cancel'
+}) {
+  const userId = message.author.id;
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  let currentPage = 0;
+
+  const buildPage = async () => {
+    const startIndex = currentPage * pageSize;
+    const pageItems = items.slice(startIndex, startIndex + pageSize);
+    const content = await renderPage({ pageItems, startIndex, currentPage, totalPages });
+
+    return {
+      ...content,
+      components: buildPickerComponents({
+        pageItems,
+        startIndex,
+        currentPage,
+        totalPages,
+        getLabel,
+        getDescription,
+        placeholder,
+        cancelLabel
+      })
+    };
+  };
+
+  const pickerMsg = await message.reply(await buildPage());
+
+  return new Promise(resolve => {
+    const collector = pickerMsg.createMessageComponentCollector({ time });
+    let result = null;
+
+    collector.on('collect', async (interaction) => {
+      try {
+        // Only the command author may drive the picker
+        if (interaction.user.id !== userId) {
+          await interaction.reply({ content: NOT_YOUR_PICKER, ephemeral: true });
+          return;
+        }
+
+        // Acknowledge right away, rendering a page can take longer than Discord's 3 second limit
+        await interaction.deferUpdate();
+
+        switch (interaction.customId) {
+          case PREVIOUS_ID:
+          case NEXT_ID:
+            currentPage += interaction.customId === NEXT_ID ? 1 : -1;
+            currentPage = Math.min(Math.max(currentPage, 0), totalPages - 1);
+            await pickerMsg.edit(await buildPage());
+            break;
+          case CANCEL_ID:
+            result = { status: 'cancelled' };
+            collector.stop('cancelled');
+            break;
+          case SELECT_ID: {
+            const index = Number(interaction.values[0]);
+            result = { status: 'selected', item: items[index], index };
+            collector.stop('selected');
+            break;
+          }
+          default:
+            break;
+        }
+      } catch (error) {
+        console.error('Error handling picker interaction:', error);
+      }
+    });
+
+    collector.on('end', async (_, reason) => {
+      console.log('Picker ended with reason:', reason);
+      await removeComponents(pickerMsg);
+      resolve({
+        ...(result || { status: reason === 'time' ? 'timeout' : 'cancelled' }),
+        pickerMsg
+      });
+    });
+  });
+}
+
+/**
+ * Reply with a multi-select menu and wait for the command author to submit a choice
+ * @param {Object} message - The message (or interaction adapter) to reply to
+ * @param {Object} options - Picker options
+ * @param {Object} options.content - Message options (content/embeds) shown above the menu
+ * @param {Array} options.choices - Select options ({ label, value, description }), max 25
+ * @param {number} [options.minValues] - Minimum number of options to pick
+ * @param {number} [options.maxValues] - Maximum number of options to pick (defaults to all)
+ * @param {number} [options.time] - Time in ms before the picker times out
+ * @param {string} [options.placeholder] - Select menu placeholder
+ * @param {string} [options.cancelLabel] - Cancel button label
+ * @param {string} [options.selectAllLabel] - Label for a button that picks every option at once (no button when omitted)
+ * @returns {Promise<Object>} { status: 'selected'|'cancelled'|'timeout', values, pickerMsg }
+ */
+export async function showMultiSelect(message, {
+  content,
+  choices,
+  minValues = 1,
+  maxValues = choices.length,
+  time = 60000,
+  placeholder = 'Make a selection',
+  cancelLabel = 'Cancel',
+  selectAllLabel = null
+}) {
+  const userId = message.author.id;
+
+  const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId(SELECT_ID)
+    .setPlaceholder(placeholder)
+    .setMinValues(minValues)
+    .setMaxValues(Math.min(maxValues, choices.length))
+    .addOptions(choices.map(choice => {
+      const option = { label: truncate(choice.label), value: choice.value };
+      if (choice.description) {
+        option.description = truncate(choice.description);
+      }
+      return option;
+    }));
+
+  const buttons = [];
+  if (selectAllLabel) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(SELECT_ALL_ID)
+        .setLabel(selectAllLabel)
+        .setStyle(ButtonStyle.Success)
+    );
+  }
+  buttons.push(
+    new ButtonBuilder()
+      .setCustomId(CANCEL_ID)
+      .setLabel(cancelLabel)
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  const pickerMsg = await message.reply({
+    ...content,
+    components: [
+      new ActionRowBuilder().addComponents(selectMenu),
+      new ActionRowBuilder().addComponents(...buttons)
+    ]
+  });
+
+  return new Promise(resolve => {
+    const collector = pickerMsg.createMessageComponentCollector({ time });
+    let result = null;
+
+    collector.on('collect', async (interaction) => {
+      try {
+        if (interaction.user.id !== userId) {
+          await interaction.reply({ content: NOT_YOUR_PICKER, ephemeral: true });
+          return;
+        }
+
+        await interaction.deferUpdate();
+
+        if (interaction.customId === SELECT_ID) {
+          result = { status: 'selected', values: interaction.values };
+          collector.stop('selected');
+        } else if (interaction.customId === SELECT_ALL_ID) {
+          result = { status: 'selected', values: choices.map(choice => choice.value) };
+          collector.stop('selected');
+        } else if (interaction.customId === CANCEL_ID) {
+          result = { status: 'cancelled' };
+          collector.stop('cancelled');
+        }
+      } catch (error) {
+        console.error('Error handling multi-select interaction:', error);
+      }
+    });
+
+    collector.on('end', async (_, reason) => {
+      await removeComponents(pickerMsg);
+      resolve({
+        ...(result || { status: reason === 'time' ? 'timeout' : 'cancelled' }),
+        pickerMsg
+      });
+    });
+  });
+}
+
+/**
+ * Add Yes/No buttons to an existing message and wait for the given user to answer
+ * @param {Object} msg - The Discord.js message to attach the buttons to
+ * @param {string} userId - Discord ID of the user allowed to answer
+ * @param {Object} [options] - Confirmation options
+ * @param {string} [options.confirmLabel] - Label for the confirm button
+ * @param {string} [options.declineLabel] - Label for the decline button
+ * @param {number} [options.time] - Time in ms before the confirmation times out
+ * @returns {Promise<string>} 'confirmed', 'declined' or 'timeout'
+ */
+export async function awaitConfirmation(msg, userId, {
+  confirmLabel = 'Yes',
+  declineLabel = 'No',
+  time = 60000
+} = {}) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(CONFIRM_ID)
+      .setLabel(confirmLabel)
+      .setEmoji('👍')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(DECLINE_ID)
+      .setLabel(declineLabel)
+      .setEmoji('👎')
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  await msg.edit({ components: [row] });
+
+  return new Promise(resolve => {
+    const collector = msg.createMessageComponentCollector({ time });
+    let result = null;
+
+    collector.on('collect', async (interaction) => {
+      try {
+        if (interaction.user.id !== userId) {
+          await interaction.reply({ content: NOT_YOUR_PICKER, ephemeral: true });
+          return;
+        }
+
+        await interaction.deferUpdate();
+        result = interaction.customId === CONFIRM_ID ? 'confirmed' : 'declined';
+        collector.stop(result);
+      } catch (error) {
+        console.error('Error handling confirmation interaction:', error);
+      }
+    });
+
+    collector.on('end', async (_, reason) => {
+      await removeComponents(msg);
+      resolve(result || (reason === 'time' ? 'timeout' : 'declined'));
+    });
+  });
+}
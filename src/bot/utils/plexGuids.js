@@ -0,0 +1,102 @@
+/**
+ * Helpers for reading external ids (TMDB, TVDB, IMDb) out of Plex/Tautulli metadata
+ */
+
+// Both the new Plex agent format (tmdb://123) and the legacy agent format
+// (com.plexapp.agents.themoviedb://123?lang=en) are supported
+const GUID_PATTERNS = [
+  { source: 'tmdb', regex: /^(?:tmdb|com\.plexapp\.agents\.themoviedb):\/\/(\d+)/i },
+  { source: 'tvdb', regex: /^(?:tvdb|com\.plexapp\.agents\.thetvdb):\/\/(\d+)/i },
+  { source: 'imdb', regex: /^(?:imdb|com\.plexapp\.agents\.imdb):\/\/(tt\d+)/i }
+];
+
+/**
+ * Parse a single Plex guid string
+ * @param {string} guid - Guid such as "tmdb://603" or "com.plexapp.agents.thetvdb://81189/1/1?lang=en"
+ * @returns {Object|null} { source, id } or null if the guid is not a TMDB/TVDB/IMDb guid
+ */
+export function parseGuid(guid) {
+  if (!guid || typeof guid !== 'string') return null;
+
+  for (const { source, regex } of GUID_PATTERNS) {
+    const match = guid.trim().match(regex);
+    if (match) {
+      return { source, id: match[1] };
+    }
+  }
+
+  return null;
+}
+
+// A guid inside a longer string, e.g. a Tautulli list rendered as "['imdb://tt0903747', 'tmdb://1396']"
+const GUID_IN_TEXT = /[a-z][\w.]*:\/\/[^\s'",\]]+/gi;
+
+/**
+ * Normalize the different shapes guids arrive in to a flat list of strings
+ * Plex sends `Guid: [{ id: 'tmdb://1' }]`, Tautulli templates send plain strings, which
+ * may hold a whole list of guids
+ * @param {*} value - Guid string, array of strings or array of { id } objects
+ * @returns {Array<string>} Guid strings
+ */
+function toGuidList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map(entry => (typeof entry === 'string' ? entry : entry?.id))
+    .filter(entry => typeof entry === 'string')
+    .flatMap(entry => entry.match(GUID_IN_TEXT) || []);
+}
+
+// Keep the first id found for each source
+function collectIds(guids) {
+  const ids = { tmdb: null, tvdb: null, imdb: null };
+  for (const guid of guids) {
+    const parsed = parseGuid(guid);
+    if (parsed && !ids[parsed.source]) {
+      ids[parsed.source] = parsed.id;
+    }
+  }
+  return ids;
+}
+
+/**
+ * Collect external ids for the item a webhook refers to
+ *
+ * For movies the item's own guids are used. For episodes and seasons only guids that
+ * identify the show are used: the `Guid` array of an episode holds episode ids, which
+ * would collide with unrelated TMDB/TVDB show ids. Legacy agent guids embed the show id
+ * (com.plexapp.agents.thetvdb://<show>/<season>/<episode>) so those are safe to use.
+ * @param {Object} metadata - Webhook Metadata object
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @returns {Object} { tmdb, tvdb, imdb } with null for ids that were not found
+ */
+export function extractExternalIds(metadata, mediaType) {
+  if (!metadata) return collectIds([]);
+
+  let guids;
+  if (mediaType === 'movie') {
+    guids = [...toGuidList(metadata.Guid), ...toGuidList(metadata.guid)];
+  } else {
+    guids = [
+      ...toGuidList(metadata.grandparentGuids),
+      ...toGuidList(metadata.grandparentGuid),
+      ...toGuidList(metadata.guid).filter(guid => guid.startsWith('com.plexapp.agents.'))
+    ];
+  }
+
+  return collectIds(guids);
+}
+
+/**
+ * Collect the external ids of an episode or season itself
+ *
+ * With the new Plex agents the show's guid is only a plex://show/… guid, so these are what
+ * is left to identify the show: a TVDB or IMDb episode/season id can be looked up on TMDB,
+ * which returns the show it belongs to.
+ * @param {Object} metadata - Webhook Metadata object
+ * @returns {Object} { tmdb, tvdb, imdb } with null for ids that were not found
+ */
+export function extractItemExternalIds(metadata) {
+  if (!metadata) return collectIds([]);
+  return collectIds([...toGuidList(metadata.Guid), ...toGuidList(metadata.guid)]);
+}
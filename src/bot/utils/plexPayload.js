@@ -0,0 +1,51 @@
+/**
+ * Normalization of native Plex Media Server webhooks into the event shape
+ * the Tautulli JSON path of the /webhook handler already understands
+ */
+
+/**
+ * Convert a native Plex webhook payload (the JSON from the multipart "payload" field)
+ * into the same { event, Metadata } structure that Tautulli sends
+ *
+ * Plex sends numbers where Tautulli templates send strings, and announces whole shows
+ * and seasons as a single item instead of an episode range, so those are rewritten to
+ * the Tautulli season format (parentIndex = season number, index = "1-<episodes>").
+ * @param {Object} payload - Parsed native Plex webhook payload
+ * @returns {Object} Normalized webhook event
+ */
+export function normalizePlexWebhook(payload) {
+  if (!payload || !payload.Metadata) {
+    return payload;
+  }
+
+  const metadata = { ...payload.Metadata };
+
+  if (metadata.index !== undefined && metadata.index !== null) {
+    metadata.index = String(metadata.index);
+  }
+  if (metadata.parentIndex !== undefined && metadata.parentIndex !== null) {
+    metadata.parentIndex = String(metadata.parentIndex);
+  }
+
+  if (metadata.type === 'season') {
+    // A whole season was added. The show's guid lives in parentGuid for seasons
+    metadata.parentIndex = metadata.index;
+    metadata.index = metadata.leafCount ? `1-${metadata.leafCount}` : '';
+    metadata.grandparentGuid = metadata.grandparentGuid || metadata.parentGuid;
+    metadata.type = 'show';
+  } else if (metadata.type === 'show') {
+    // A new show was added. Plex only announces the show itself when it is new to the
+    // library, so treat it as the first episode of season 1 to trigger release notifications
+    metadata.grandparentGuids = metadata.Guid;
+    metadata.grandparentGuid = metadata.guid;
+    metadata.parentTitle = metadata.title;
+    metadata.parentIndex = '1';
+    metadata.index = '1';
+  }
+
+  return {
+    ...payload,
+    Metadata: metadata,
+    source: 'plex'
+  };
+}
@@ -144,16 +144,25 @@ export function findSimilarTitles(query, titles, threshold = 0.55, limit = 3) {
     .map(item => item.title);
 }
 
+/**
+ * Format a byte count as a human-readable size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size, e.g. "1.4 GB"
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return '0 Bytes';
+
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${sizes[i]}`;
+}
+
 import { fetchPopularTitles } from '../services/tmdb.js';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { ensureDataDir, getDataPath } from './dataDir.js';
 
-// Calculate paths for data storage
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const dataDir = path.join(__dirname, '..', '..', 'data');
-const titleDbFile = path.join(dataDir, 'title_database.json');
+const titleDbFile = getDataPath('title_database.json');
 
 /**
  * Default popular movie and TV show titles for more accurate suggestions
@@ -241,28 +250,19 @@ let lastFetchTime = 0; // Initialize to 0 to ensure first-run update
 let isFirstRun = true; // Flag to guarantee title update on first run
 const FETCH_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
-/**
- * Ensure data directory exists
- */
-function ensureDataDirExists() {
-  if (!fs.existsSync(dataDir)) {
-    try {
-      fs.mkdirSync(dataDir, { recursive: true });
-      console.log(`Created data directory at: ${dataDir}`);
-    } catch (error) {
-      console.error(`Failed to create data directory: ${error.message}`);
-    }
-  }
-}
-
 /**
  * Save titles and metadata to disk
  * @param {Array} titles - List of titles to save
  * @param {number} timestamp - Last fetch timestamp
  */
 function saveTitlesToDisk(titles, timestamp) {
-  ensureDataDirExists();
-  
+  try {
+    ensureDataDir();
+  } catch (error) {
+    console.error(`Failed to save title database: ${error.message}`);
+    return;
+  }
+
   const data = {
     titles,
     lastFetchTime: timestamp,
@@ -0,0 +1,107 @@
+import { createHash, timingSafeEqual } from 'crypto';
+
+/**
+ * Shared-secret verification for inbound webhooks
+ *
+ * The secret (WEBHOOK_SECRET) can be supplied as:
+ * - an `X-Webhook-Secret` header (Tautulli custom headers)
+ * - a `token` query parameter (native Plex webhooks, which can't set headers)
+ * - the password of HTTP basic auth (Sonarr/Radarr connection username/password)
+ * - the Authorization header itself, optionally as `Bearer <secret>` (Overseerr's Authorization Header setting)
+ *
+ * Without WEBHOOK_SECRET every webhook request is rejected, unless unauthenticated webhooks
+ * are explicitly allowed with WEBHOOK_SECRET_DISABLED=true.
+ */
+
+/**
+ * Compare two strings in constant time
+ * Both values are hashed first so inputs of different lengths can be compared safely
+ * @param {string} provided - Value supplied by the caller
+ * @param {string} expected - The configured secret
+ * @returns {boolean} Whether the values match
+ */
+function safeCompare(provided, expected) {
+  const providedHash = createHash('sha256').update(String(provided)).digest();
+  const expectedHash = createHash('sha256').update(String(expected)).digest();
+  return timingSafeEqual(providedHash, expectedHash);
+}
+
+/**
+ * Collect every secret candidate the request carries
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Candidate secrets
+ */
+function getProvidedSecrets(req) {
+  const candidates = [];
+
+  const headerSecret = req.get('x-webhook-secret');
+  if (headerSecret) {
+    candidates.push(headerSecret);
+  }
+
+  if (typeof req.query?.token === 'string' && req.query.token) {
+    candidates.push(req.query.token);
+  }
+
+  const authorization = req.get('authorization');
+  if (authorization?.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+    const separatorIndex = decoded.indexOf(':');
+    if (separatorIndex !== -1) {
+      candidates.push(decoded.slice(separatorIndex + 1));
+    }
+  } else if (authorization?.startsWith('Bearer ')) {
+    candidates.push(authorization.slice(7));
+  } else if (authorization) {
+    candidates.push(authorization);
+  }
+
+  return candidates;
+}
+
+// Opting out has to be explicit, an unset WEBHOOK_SECRET alone keeps the routes closed
+function isWebhookSecretDisabled() {
+  return process.env.WEBHOOK_SECRET_DISABLED?.trim().toLowerCase() === 'true';
+}
+
+/**
+ * Log once at startup whether webhook requests will be verified
+ */
+export function logWebhookSecretStatus() {
+  if (process.env.WEBHOOK_SECRET) {
+    console.log('Webhook secret verification enabled for all webhook routes');
+  } else if (isWebhookSecretDisabled()) {
+    console.warn('WEBHOOK_SECRET_DISABLED=true - webhook routes accept unauthenticated requests');
+  } else {
+    console.warn('WEBHOOK_SECRET is not set - all webhook requests will be rejected. Set WEBHOOK_SECRET, or WEBHOOK_SECRET_DISABLED=true to accept unauthenticated requests');
+  }
+}
+
+/**
+ * Express middleware rejecting webhook requests without the configured secret
+ * Without WEBHOOK_SECRET requests are only let through when WEBHOOK_SECRET_DISABLED=true
+ */
+export function verifyWebhookSecret(req, res, next) {
+  const expectedSecret = process.env.WEBHOOK_SECRET;
+  if (!expectedSecret) {
+    if (isWebhookSecretDisabled()) {
+      return next();
+    }
+
+    console.warn(`Rejected webhook request to ${req.originalUrl.split('?')[0]} from ${req.ip}: WEBHOOK_SECRET is not set ` +
+      '(set it, or WEBHOOK_SECRET_DISABLED=true to accept unauthenticated webhooks)');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // Check every candidate so timing doesn't reveal which one matched
+  const isValid = getProvidedSecrets(req)
+    .map(candidate => safeCompare(candidate, expectedSecret))
+    .includes(true);
+
+  if (!isValid) {
+    console.warn(`Rejected webhook request to ${req.originalUrl.split('?')[0]} from ${req.ip}: missing or invalid secret`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
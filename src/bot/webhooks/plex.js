@@ -1,14 +1,29 @@
 import express from 'express';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { client } from '../index.js';
-import { searchTMDB } from '../services/tmdb.js';
-import { EmbedBuilder } from 'discord.js';
-import { getSubscriptionByTitle, updateSubscription, removeSubscription } from '../services/database.js';
+import multer from 'multer';
+import { findTMDBByExternalId } from '../services/tmdb.js';
+import {
+  getSubscriptionByTitle,
+  getSubscriptionsByMediaId
+} from '../services/database.js';
+import {
+  getPosterPath,
+  notifyMovieAvailable,
+  notifyEpisodesAvailable,
+  restorePendingEpisodeBatches
+} from '../services/notifications.js';
+import { extractExternalIds, extractItemExternalIds } from '../utils/plexGuids.js';
+import { normalizePlexWebhook } from '../utils/plexPayload.js';
+import { verifyWebhookSecret, logWebhookSecretStatus } from './auth.js';
 import webhookService from '../services/webhooks.js';
 import * as database from '../services/database.js';
 import webhookRoutes from '../../routes/webhooks.js';
 
+/**
+ * Start the webhook server for Plex/Tautulli, Sonarr, Radarr and Overseerr
+ * @returns {import('http').Server} The listening server
+ */
 export function setupWebhookServer() {
   const app = express();
 
@@ -25,8 +40,12 @@ export function setupWebhookServer() {
   // Body parser with size limit
   app.use(express.json({ limit: '1mb' }));
 
-  // Store episode notifications to batch them
-  const episodeNotifications = new Map(); // key: userId_showId, value: { episodes: [], timer, posterPath }
+  // Native Plex webhooks are multipart/form-data with a "payload" JSON field and an optional
+  // "thumb" image part. Posters come from TMDB, so the image is only held in memory and dropped
+  const plexUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+  });
 
   // Helper function to normalize titles for flexible matching
   const normalizeTitle = (title) => {
@@ -81,6 +100,64 @@ export function setupWebhookServer() {
     return flexibleMatches;
   };
 
+  // Resolve the TMDB id of the show an episode or season belongs to from the item's own
+  // TVDB/IMDb ids, TMDB episode ids can't be looked up so those are skipped
+  const resolveShowFromItem = async (Metadata, contentType) => {
+    const ids = extractItemExternalIds(Metadata);
+    console.log(`External ids of the ${contentType} from webhook:`, ids);
+    
+    for (const [source, externalSource] of [['tvdb', 'tvdb_id'], ['imdb', 'imdb_id']]) {
+      if (ids[source]) {
+        const result = await findTMDBByExternalId(ids[source], externalSource, contentType);
+        if (result?.show_id) return result.show_id;
+      }
+    }
+    
+    return null;
+  };
+
+  // Resolve the TMDB id of the item a webhook refers to from its tmdb/tvdb/imdb guids
+  // For episodes and seasons contentType is 'episode' or 'season', and the show is looked up
+  // through the item's own ids when the payload has no usable show guids
+  const resolveTmdbId = async (Metadata, mediaType, contentType) => {
+    const ids = extractExternalIds(Metadata, mediaType);
+    console.log(`External ids from webhook (${mediaType}):`, ids);
+    
+    if (ids.tmdb) {
+      return Number(ids.tmdb);
+    }
+    
+    if (ids.tvdb) {
+      const result = await findTMDBByExternalId(ids.tvdb, 'tvdb_id', mediaType);
+      if (result) return result.id;
+    }
+    
+    if (ids.imdb) {
+      const result = await findTMDBByExternalId(ids.imdb, 'imdb_id', mediaType);
+      if (result) return result.id;
+    }
+    
+    if (mediaType === 'tv') {
+      return resolveShowFromItem(Metadata, contentType);
+    }
+    
+    return null;
+  };
+
+  // Find subscriptions by TMDB id, only falling back to title matching when the payload has no usable ids
+  const findSubscriptions = async (Metadata, title, mediaType, contentType = mediaType) => {
+    const tmdbId = await resolveTmdbId(Metadata, mediaType, contentType);
+    
+    if (tmdbId) {
+      const subscriptions = getSubscriptionsByMediaId(tmdbId, mediaType);
+      console.log(`Found ${subscriptions.length} subscription(s) for ${mediaType} TMDB id ${tmdbId} (${title})`);
+      return { subscriptions, tmdbId };
+    }
+    
+    console.warn(`No TMDB/TVDB/IMDb id in webhook payload for ${mediaType} "${title}", falling back to title matching`);
+    return { subscriptions: findSubscriptionsByTitle(title, mediaType), tmdbId: null };
+  };
+
   // Helper function to parse episode ranges like "1-6,18,20"
   const parseEpisodeRanges = (rangeString) => {
     if (!rangeString) return [];
@@ -107,67 +184,27 @@ export function setupWebhookServer() {
     return episodes;
   };
 
-  const sendBatchedNotification = async (userId, showId) => {
-    try {
-      const notifications = episodeNotifications.get(`${userId}_${showId}`);
-      if (!notifications || !notifications.episodes.length) return;
-
-      // Get show details from subscription
-      const subscription = getSubscriptionByTitle(userId.toString(), showId.toString());
-      if (!subscription) {
-        console.error('No subscription found for:', { userId, showId });
-        return;
-      }
-
-      // Group episodes by season
-      const seasons = notifications.episodes.reduce((acc, ep) => {
-        acc[ep.season] = acc[ep.season] || [];
-        acc[ep.season].push(ep.episode);
-        return acc;
-      }, {});
-
-      // Create notification embed
-      const embed = new EmbedBuilder()
-        .setTitle(`New Episodes Available: ${subscription.media_title}`)
-        .setDescription(
-          Object.entries(seasons).map(([season, episodes]) =>
-            `**Season ${season}**: ${episodes.length} new episode${episodes.length > 1 ? 's' : ''}` +
-            (episodes.length <= 10 ? ` (Episode${episodes.length > 1 ? 's' : ''} ${episodes.sort((a, b) => a - b).join(', ')})` : '')
-          ).join('\n')
-        )
-        .setColor(0x00ff00);
-
-      // Add poster if available
-      if (notifications.posterPath) {
-        embed.setThumbnail(`https://image.tmdb.org/t/p/w500${notifications.posterPath}`);
-      }
-
-      // Send notification
-      const user = await client.users.fetch(userId);
-      await user.send({ embeds: [embed] });
-
-      // Update last notified episode/season
-      const success = updateSubscription(
-        userId.toString(),
-        showId.toString(),
-        Math.max(...Object.keys(seasons).map(Number)),
-        Math.max(...notifications.episodes.map(e => e.episode))
-      );
-
-      if (!success) {
-        console.error('Failed to update subscription:', { userId, showId });
-      }
-
-      // Clear the notifications
-      episodeNotifications.delete(`${userId}_${showId}`);
-    } catch (error) {
-      console.error('Error sending batched notification:', error);
-    }
-  };
+  restorePendingEpisodeBatches();
 
-  app.post('/webhook', async (req, res) => {
+  app.post('/webhook', verifyWebhookSecret, plexUpload.any(), async (req, res) => {
     try {
-      const event = req.body;
+      let event = req.body;
+      
+      // Native Plex webhook: parse the payload field and convert it to the Tautulli event shape
+      if (req.is('multipart/form-data')) {
+        if (!event?.payload) {
+          console.error('Plex webhook received without a payload field');
+          return res.status(400).json({ error: 'Missing payload field' });
+        }
+        
+        try {
+          event = normalizePlexWebhook(JSON.parse(event.payload));
+        } catch (error) {
+          console.error('Invalid JSON in Plex webhook payload:', error.message);
+          return res.status(400).json({ error: 'Invalid payload JSON' });
+        }
+        console.log('Received native Plex webhook');
+      }
       
       // Log the incoming webhook
       console.log('Received webhook payload:', JSON.stringify(event, null, 2));
@@ -246,8 +283,8 @@ export function setupWebhookServer() {
           const title = Metadata.title;
           console.log('Processing movie:', title);
           
-          // Find subscriptions matching this title - NOW USING FLEXIBLE MATCHING
-          const subscriptions = findSubscriptionsByTitle(title, 'movie');
+          // Find subscriptions by TMDB id (title matching only as a last resort)
+          const { subscriptions, tmdbId } = await findSubscriptions(Metadata, title, 'movie');
           if (!subscriptions?.length) {
             console.log('No subscriptions found for movie:', title);
             return res.sendStatus(200);
@@ -256,37 +293,10 @@ export function setupWebhookServer() {
           console.log(`Found ${subscriptions.length} subscription(s) for movie:`, title);
           
           // Get poster for the movie
-          const results = await searchTMDB(title, 'movie');
-          const posterPath = results[0]?.poster_path;
+          const posterPath = await getPosterPath(tmdbId, title, 'movie');
           
           // Send notifications to subscribers
-          for (const sub of subscriptions) {
-            try {
-              console.log('Sending movie notification to user:', sub.user_id);
-              const user = await client.users.fetch(sub.user_id);
-              
-              const embed = new EmbedBuilder()
-                .setTitle('New Movie Available! 🎉')
-                .setDescription(`**${title}** is now available on Plex!`)
-                .setColor(0x00ff00);
-
-              if (posterPath) {
-                embed.setThumbnail(`https://image.tmdb.org/t/p/w500${posterPath}`);
-              }
-
-              await user.send({ embeds: [embed] });
-
-              // Remove subscription after notification
-              const success = removeSubscription(sub.user_id, sub.media_id);
-              if (!success) {
-                console.error('Error removing subscription:', { userId: sub.user_id, mediaId: sub.media_id });
-              } else {
-                console.log('Successfully removed movie subscription after notification');
-              }
-            } catch (error) {
-              console.error('Error sending movie notification:', error);
-            }
-          }
+          await notifyMovieAvailable(subscriptions, { title, posterPath, source: 'plex' });
         } 
         // Handle episodes and seasons
         else if (contentType === 'episode' || contentType === 'season') {
@@ -299,8 +309,8 @@ export function setupWebhookServer() {
           
           console.log('Processing TV content for show:', showTitle);
           
-          // Find subscriptions by show title - NOW USING FLEXIBLE MATCHING
-          const subscriptions = findSubscriptionsByTitle(showTitle, 'tv');
+          // Find subscriptions by the show's TMDB id (title matching only as a last resort)
+          const { subscriptions, tmdbId } = await findSubscriptions(Metadata, showTitle, 'tv', contentType);
           if (!subscriptions?.length) {
             console.log('No subscriptions found for show:', showTitle);
             return res.sendStatus(200);
@@ -308,9 +318,8 @@ export function setupWebhookServer() {
           
           console.log(`Found ${subscriptions.length} subscription(s) for show:`, showTitle);
           
-          // Get series details and poster
-          const results = await searchTMDB(showTitle, 'tv');
-          const posterPath = results[0]?.poster_path;
+          // Get series poster
+          const posterPath = await getPosterPath(tmdbId, showTitle, 'tv');
           
           // Get season and episode information
           let seasonNumber = parseInt(Metadata.parentIndex, 10);
@@ -326,68 +335,14 @@ export function setupWebhookServer() {
             
             console.log(`Processing episode: Season ${seasonNumber}, Episode ${episodeNumber}`);
             
-            // Process each subscription
-            for (const sub of subscriptions) {
-              try {
-                if (sub.episode_subscription) {
-                  // Batch episode notifications
-                  const key = `${sub.user_id}_${sub.media_id}`;
-                  const notification = episodeNotifications.get(key) || { 
-                    episodes: [], 
-                    timer: null,
-                    posterPath
-                  };
-                  
-                  notification.episodes.push({
-                    season: seasonNumber,
-                    episode: episodeNumber
-                  });
-                  
-                  // Clear existing timer
-                  if (notification.timer) {
-                    clearTimeout(notification.timer);
-                  }
-                  
-                  // Set new timer for 5 minutes
-                  notification.timer = setTimeout(() => {
-                    sendBatchedNotification(sub.user_id, sub.media_id);
-                  }, 5 * 60 * 1000);
-                  
-                  episodeNotifications.set(key, notification);
-                  console.log(`Added episode notification for user ${sub.user_id} (batched)`);
-                } else if (!sub.episode_subscription) {
-                  // For "Release only" subscriptions, only send notification if this is season 1 episode 1
-                  if (seasonNumber === 1 && episodeNumber === 1) {
-                    console.log('Sending show release notification to user:', sub.user_id);
-                    const user = await client.users.fetch(sub.user_id);
-                    
-                    const embed = new EmbedBuilder()
-                      .setTitle('New Show Available! 🎉')
-                      .setDescription(`**${showTitle}** is now available on Plex!`)
-                      .setColor(0x00ff00);
-                    
-                    if (posterPath) {
-                      embed.setThumbnail(`https://image.tmdb.org/t/p/w500${posterPath}`);
-                    }
-                    
-                    await user.send({ embeds: [embed] });
-                    
-                    // Remove the subscription after notification
-                    const success = removeSubscription(sub.user_id, sub.media_id);
-                    if (!success) {
-                      console.error('Error removing subscription:', { userId: sub.user_id, mediaId: sub.media_id });
-                    } else {
-                      console.log('Successfully removed show subscription after notification');
-                    }
-                  } else {
-                    // Log why we're not sending a notification
-                    console.log(`Skipping release notification for user ${sub.user_id}: "${showTitle}" S${seasonNumber}E${episodeNumber} - only S1E1 triggers release notifications`);
-                  }
-                }
-              } catch (error) {
-                console.error('Error processing episode subscription:', error);
-              }
-            }
+            await notifyEpisodesAvailable(subscriptions, {
+              showTitle,
+              seasonNumber,
+              episodes: [episodeNumber],
+              isSeasonBundle: false,
+              posterPath,
+              source: 'plex'
+            });
           } 
           // For seasons with bundled episodes
           else if (contentType === 'season') {
@@ -402,84 +357,14 @@ export function setupWebhookServer() {
               return res.sendStatus(200);
             }
             
-            // Process each subscription
-            for (const sub of subscriptions) {
-              try {
-                if (sub.episode_subscription) {
-                  // Batch notifications for all episodes
-                  const key = `${sub.user_id}_${sub.media_id}`;
-                  const notification = episodeNotifications.get(key) || { 
-                    episodes: [], 
-                    timer: null,
-                    posterPath
-                  };
-                  
-                  // Add all episodes from the range
-                  for (const episodeNumber of episodes) {
-                    notification.episodes.push({
-                      season: seasonNumber,
-                      episode: episodeNumber
-                    });
-                  }
-                  
-                  // Clear existing timer
-                  if (notification.timer) {
-                    clearTimeout(notification.timer);
-                  }
-                  
-                  // Set new timer for immediate notification (1 second)
-                  // Episodes are already bundled
-                  notification.timer = setTimeout(() => {
-                    sendBatchedNotification(sub.user_id, sub.media_id);
-                  }, 1000);
-                  
-                  episodeNotifications.set(key, notification);
-                  console.log(`Added ${episodes.length} episode notifications for user ${sub.user_id}`);
-                } else if (!sub.episode_subscription) {
-                  // For "release only" subscriptions - send notification for ANY new season, not just season 1
-                  // If season 1 just check if episodes contains 1, otherwise send notification for any season
-                  const isSeasonOne = seasonNumber === 1;
-                  const containsEpisodeOne = episodes.includes(1);
-                  const shouldNotify = isSeasonOne ? containsEpisodeOne : true;
-                  
-                  if (shouldNotify) {
-                    console.log(`Sending new season notification to user ${sub.user_id} for Season ${seasonNumber}`);
-                    const user = await client.users.fetch(sub.user_id);
-                    
-                    const embed = new EmbedBuilder()
-                      .setTitle('New Season Available! 🎉')
-                      .setDescription(`**${showTitle} - Season ${seasonNumber}** is now available on Plex!`)
-                      .setColor(0x00ff00);
-                    
-                    if (posterPath) {
-                      embed.setThumbnail(`https://image.tmdb.org/t/p/w500${posterPath}`);
-                    }
-                    
-                    await user.send({ embeds: [embed] });
-                    
-                    // Only remove subscription for first season, keep it for future seasons
-                    if (seasonNumber === 1) {
-                      console.log('Removing subscription after Season 1 notification');
-                      const success = removeSubscription(sub.user_id, sub.media_id);
-                      if (!success) {
-                        console.error('Error removing subscription:', { userId: sub.user_id, mediaId: sub.media_id });
-                      } else {
-                        console.log('Successfully removed show subscription after notification');
-                      }
-                    }
-                  } else {
-                    // Log why we're not sending a notification
-                    if (isSeasonOne && !containsEpisodeOne) {
-                      console.log(`Skipping Season 1 notification for user ${sub.user_id}: "${showTitle}" - Season 1 bundle doesn't include Episode 1`);
-                    } else {
-                      console.log(`Skipping notification for user ${sub.user_id}: "${showTitle}" S${seasonNumber} - Unexpected condition`);
-                    }
-                  }
-                }
-              } catch (error) {
-                console.error('Error processing season subscription:', error);
-              }
-            }
+            await notifyEpisodesAvailable(subscriptions, {
+              showTitle,
+              seasonNumber,
+              episodes,
+              isSeasonBundle: true,
+              posterPath,
+              source: 'plex'
+            });
           }
         }
       } else {
@@ -507,11 +392,13 @@ export function setupWebhookServer() {
 
   // Start server
   const port = process.env.WEBHOOK_PORT || 5000;
-  app.listen(port, () => {
+  return app.listen(port, () => {
     console.log(`Webhook server listening on port ${port}`);
+    logWebhookSecretStatus();
     console.log(`Webhook URLs:
-    - Plex: http://<your-server>:${port}/webhook
+    - Plex / Tautulli: http://<your-server>:${port}/webhook
     - Sonarr: http://<your-server>:${port}/api/webhooks/sonarr
-    - Radarr: http://<your-server>:${port}/api/webhooks/radarr`);
+    - Radarr: http://<your-server>:${port}/api/webhooks/radarr
+    - Overseerr: http://<your-server>:${port}/api/webhooks/overseerr`);
   });
 }
\ No newline at end of file
@@ -1,6 +1,8 @@
 import express from 'express';
 import webhookService from '../bot/services/webhooks.js';
+import { processOverseerrWebhook } from '../bot/services/overseerrRequests.js';
 import * as database from '../bot/services/database.js';
+import { verifyWebhookSecret } from '../bot/webhooks/auth.js';
 import os from 'os';
 import packageJson from '../../package.json' assert { type: 'json' };
 const { version } = packageJson;
@@ -10,7 +12,7 @@ const router = express.Router();
 /**
  * Route to handle Sonarr webhooks
  */
-router.post('/sonarr', express.json(), async (req, res) => {
+router.post('/sonarr', verifyWebhookSecret, express.json(), async (req, res) => {
   try {
     const { body } = req;
     
@@ -31,7 +33,7 @@ router.post('/sonarr', express.json(), async (req, res) => {
 /**
  * Route to handle Radarr webhooks
  */
-router.post('/radarr', express.json(), async (req, res) => {
+router.post('/radarr', verifyWebhookSecret, express.json(), async (req, res) => {
   try {
     const { body } = req;
     
@@ -49,7 +51,26 @@ router.post('/radarr', express.json(), async (req, res) => {
   }
 });
 
-
+/**
+ * Route to handle Overseerr webhooks
+ */
+router.post('/overseerr', verifyWebhookSecret, express.json(), async (req, res) => {
+  try {
+    const { body } = req;
+    
+    // Process the webhook
+    const success = await processOverseerrWebhook(body);
+    
+    if (success) {
+      res.status(200).json({ status: 'success' });
+    } else {
+      res.status(500).json({ error: 'Failed to process webhook' });
+    }
+  } catch (error) {
+    console.error('Error processing Overseerr webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 /**
  * Health check endpoint for container health monitoring
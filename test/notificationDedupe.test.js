@@ -0,0 +1,53 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { startWebhookServer, createFakeUser } from './support/bot.js';
+
+const readFixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const sonarrDownload = readFixture('sonarr-download.json');
+const plexEpisode = readFixture('tautulli-episode.json');
+
+// Single episodes are batched for 5 minutes before the DM goes out
+const EPISODE_BATCH_DELAY = 5 * 60 * 1000;
+
+// Let the Sonarr notification, which runs after the response, finish and flush its batch
+async function flushEpisodeBatches() {
+  await new Promise(resolve => setImmediate(resolve));
+  mock.timers.tick(EPISODE_BATCH_DELAY);
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+let bot;
+
+before(async () => {
+  bot = await startWebhookServer();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+test('a Sonarr import followed by Plex library.new for the same episode sends one DM', async () => {
+  const user = createFakeUser('100000000000000002');
+  bot.client.users.fetch = async () => user;
+  bot.database.addSubscription(user.id, '1396', 'tv', 'Breaking Bad', true);
+
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    assert.equal((await bot.post('/api/webhooks/sonarr', sonarrDownload)).status, 200);
+    await flushEpisodeBatches();
+    assert.equal(user.send.mock.callCount(), 1);
+
+    // Subscribing again, or the Overseerr webhook seeing the request, touches the subscription
+    bot.database.addSubscription(user.id, '1396', 'tv', 'Breaking Bad', true);
+
+    assert.equal((await bot.post('/webhook', plexEpisode)).status, 200);
+    await flushEpisodeBatches();
+  } finally {
+    mock.timers.reset();
+  }
+
+  assert.equal(user.send.mock.callCount(), 1);
+  assert.equal(bot.database.getPendingEpisodeBatch(user.id, '1396'), null);
+});
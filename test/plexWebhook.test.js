@@ -0,0 +1,102 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { startWebhookServer, createFakeUser } from './support/bot.js';
+
+const readFixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const episodePayload = readFixture('tautulli-episode.json');
+const newAgentEpisodePayload = readFixture('tautulli-episode-new-agent.json');
+const plexEpisodePayload = readFixture('plex-episode.json');
+const plexSeasonPayload = readFixture('plex-season.json');
+
+// Single episodes are batched for 5 minutes before the DM goes out, season bundles for 1 second
+const EPISODE_BATCH_DELAY = 5 * 60 * 1000;
+const SEASON_BATCH_DELAY = 1000;
+
+let bot;
+
+// Route DMs for user.id to the given fake user, earlier tests' subscribers get throwaway users
+function receiveDmsAs(user) {
+  bot.client.users.fetch = async userId => (userId === user.id ? user : createFakeUser(userId));
+}
+
+// Mock timers are enabled once for the whole file, timers scheduled after enabling them a
+// second time are never run by tick() on Node 20
+before(async () => {
+  bot = await startWebhookServer();
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+after(async () => {
+  mock.timers.reset();
+  await bot.stop();
+});
+
+test('a Tautulli episode webhook DMs the episode subscriber', async () => {
+  const user = createFakeUser('100000000000000001');
+  bot.client.users.fetch = async userId => {
+    assert.equal(userId, user.id);
+    return user;
+  };
+  bot.database.addSubscription(user.id, '1396', 'tv', 'Breaking Bad', true);
+
+  const response = await bot.post('/webhook', episodePayload);
+  assert.equal(response.status, 200);
+  assert.equal(user.send.mock.callCount(), 0);
+
+  mock.timers.tick(EPISODE_BATCH_DELAY);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(user.send.mock.callCount(), 1);
+  const [embed] = user.send.mock.calls[0].arguments[0].embeds;
+  assert.equal(embed.data.title, 'New Episodes Available: Breaking Bad');
+  assert.match(embed.data.description, /Season 1.*Episode 1\b/);
+  assert.ok(bot.database.hasSentNotification(user.id, '1396', 1, 1));
+});
+
+test('an episode with only new Plex agent guids is matched through the show id TMDB finds for it', async () => {
+  const user = createFakeUser('100000000000000003');
+  receiveDmsAs(user);
+  // The title differs from the payload so only an id match can find this subscription
+  bot.database.addSubscription(user.id, '1396', 'tv', 'Breaking Bad (2008)', true);
+
+  assert.equal((await bot.post('/webhook', newAgentEpisodePayload)).status, 200);
+  mock.timers.tick(EPISODE_BATCH_DELAY);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(user.send.mock.callCount(), 1);
+  assert.ok(bot.database.hasSentNotification(user.id, '1396', 1, 1));
+});
+
+test('a native Plex multipart episode webhook is matched through the show TMDB finds for its guids', async () => {
+  const user = createFakeUser('100000000000000004');
+  receiveDmsAs(user);
+  bot.database.addSubscription(user.id, '1396', 'tv', 'Breaking Bad (2008)', true);
+
+  assert.equal((await bot.postPlex('/webhook', plexEpisodePayload)).status, 200);
+  mock.timers.tick(EPISODE_BATCH_DELAY);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(user.send.mock.callCount(), 1);
+  assert.ok(bot.database.hasSentNotification(user.id, '1396', 1, 1));
+});
+
+test('a native Plex multipart season webhook announces the whole season', async () => {
+  const user = createFakeUser('100000000000000005');
+  receiveDmsAs(user);
+  bot.database.addSubscription(user.id, '1396', 'tv', 'Breaking Bad (2008)', true);
+
+  assert.equal((await bot.postPlex('/webhook', plexSeasonPayload)).status, 200);
+  mock.timers.tick(SEASON_BATCH_DELAY);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(user.send.mock.callCount(), 1);
+  const [embed] = user.send.mock.calls[0].arguments[0].embeds;
+  assert.match(embed.data.description, /Season 2\*\*: 13 new episodes/);
+  assert.ok(bot.database.hasSentNotification(user.id, '1396', 2, 13));
+});
+
+test('a native Plex webhook without metadata is rejected', async () => {
+  assert.equal((await bot.postPlex('/webhook', '{}')).status, 400);
+});
@@ -0,0 +1,68 @@
+import { register } from 'module';
+import { mock } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { client } from './discordClient.js';
+
+/**
+ * Start the webhook server against a throwaway database, with Discord and TMDB faked
+ *
+ * Has to run before anything from src/bot is imported: the environment is read when the
+ * database opens, and the resolve hooks must be in place before the bot modules load.
+ */
+
+const WEBHOOK_SECRET = 'test-secret';
+
+/**
+ * @returns {Promise<Object>} { post, postPlex, database, client, stop } - post(path, body) sends
+ * a JSON webhook with the secret, postPlex(path, payload) sends it the way Plex Media Server does
+ * (multipart with a "payload" field and a thumb image, secret in the query), both resolve to the response
+ */
+export async function startWebhookServer() {
+  const dataDir = mkdtempSync(join(tmpdir(), 'plexmate-test-'));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    WEBHOOK_PORT: '0',
+    WEBHOOK_SECRET,
+    // node-fetch is replaced by support/fetch.js, the key only has to be set
+    TMDB_API_KEY: 'test-key'
+  });
+
+  register('./hooks.js', import.meta.url);
+
+  const database = await import('../../src/bot/services/database.js');
+  const { setupWebhookServer } = await import('../../src/bot/webhooks/plex.js');
+
+  const server = setupWebhookServer();
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    post: (path, body) => fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Webhook-Secret': WEBHOOK_SECRET },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    }),
+    postPlex: (path, payload) => {
+      const form = new FormData();
+      form.append('payload', typeof payload === 'string' ? payload : JSON.stringify(payload));
+      form.append('thumb', new Blob([Buffer.from('fake jpeg')], { type: 'image/jpeg' }), 'thumb.jpg');
+      return fetch(`${baseUrl}${path}?token=${WEBHOOK_SECRET}`, { method: 'POST', body: form });
+    },
+    database,
+    client,
+    stop: async () => {
+      await new Promise(resolve => server.close(resolve));
+      rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Fake Discord user whose send() calls are recorded in send.mock.calls
+ */
+export function createFakeUser(id) {
+  return { id, send: mock.fn(async () => {}) };
+}
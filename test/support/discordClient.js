@@ -0,0 +1,11 @@
+/**
+ * Stand-in for the client exported by src/bot/index.js, which logs in to Discord on import
+ * Tests replace users.fetch to hand out fake users and check what was sent to them
+ */
+export const client = {
+  users: {
+    fetch: async userId => {
+      throw new Error(`No fake Discord user for ${userId}`);
+    }
+  }
+};
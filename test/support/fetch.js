@@ -0,0 +1,42 @@
+/**
+ * Stand-in for node-fetch so tests never reach TMDB or Overseerr
+ * TMDB detail lookups return a poster and /find knows the Breaking Bad ids used by the
+ * fixtures, searches and anything else come back empty
+ */
+
+// TMDB /find results by external id
+const FIND_RESULTS = {
+  // Breaking Bad
+  81189: { tv_results: [{ id: 1396, name: 'Breaking Bad' }] },
+  // Breaking Bad S01E01 (TVDB and IMDb episode ids)
+  349232: { tv_episode_results: [{ id: 62085, show_id: 1396, season_number: 1, episode_number: 1 }] },
+  tt0959621: { tv_episode_results: [{ id: 62085, show_id: 1396, season_number: 1, episode_number: 1 }] },
+  // Breaking Bad season 2 (TVDB season id)
+  30272: { tv_season_results: [{ id: 3573, show_id: 1396, season_number: 2 }] }
+};
+
+function getBody(pathname) {
+  const details = pathname.match(/^\/3\/(movie|tv)\/(\d+)$/);
+  if (details) {
+    return { id: Number(details[2]), poster_path: `/poster-${details[2]}.jpg` };
+  }
+
+  const find = pathname.match(/^\/3\/find\/([^/]+)$/);
+  if (find) {
+    return { movie_results: [], tv_results: [], tv_episode_results: [], tv_season_results: [], ...FIND_RESULTS[find[1]] };
+  }
+
+  return { results: [] };
+}
+
+export default async function fetch(url) {
+  const body = getBody(new URL(url).pathname);
+
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Module resolve hook that swaps src/bot/index.js for the fake Discord client and
+ * node-fetch for the fake TMDB/Overseerr responses
+ * Registered by support/bot.js before the bot modules are imported
+ */
+
+const botIndexUrl = new URL('../../src/bot/index.js', import.meta.url).href;
+
+const replacements = {
+  [botIndexUrl]: new URL('./discordClient.js', import.meta.url).href,
+  'node-fetch': new URL('./fetch.js', import.meta.url).href
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  const replacement = replacements[specifier] || replacements[resolved.url];
+  if (replacement) {
+    return { ...resolved, url: replacement, shortCircuit: true };
+  }
+  return resolved;
+}
@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyWebhookSecret } from '../src/bot/webhooks/auth.js';
+
+// Run the middleware and report whether it let the request through or its response status
+function verify({ headers = {}, query = {} } = {}) {
+  const lowerCaseHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = { get: name => lowerCaseHeaders[name.toLowerCase()], query, originalUrl: '/webhook', ip: '127.0.0.1' };
+
+  let result = null;
+  const res = {
+    status(code) {
+      result = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  verifyWebhookSecret(req, res, () => {
+    result = 'next';
+  });
+  return result;
+}
+
+beforeEach(() => {
+  delete process.env.WEBHOOK_SECRET;
+  delete process.env.WEBHOOK_SECRET_DISABLED;
+});
+
+test('webhooks are rejected when WEBHOOK_SECRET is not set', () => {
+  assert.equal(verify(), 401);
+  assert.equal(verify({ headers: { 'X-Webhook-Secret': 'anything' } }), 401);
+});
+
+test('WEBHOOK_SECRET_DISABLED=true lets webhooks through without a secret', () => {
+  process.env.WEBHOOK_SECRET_DISABLED = 'true';
+  assert.equal(verify(), 'next');
+});
+
+test('the secret is accepted as header, query token or basic auth password', () => {
+  process.env.WEBHOOK_SECRET = 's3cret';
+  assert.equal(verify({ headers: { 'X-Webhook-Secret': 's3cret' } }), 'next');
+  assert.equal(verify({ query: { token: 's3cret' } }), 'next');
+  assert.equal(verify({ headers: { Authorization: `Basic ${Buffer.from('sonarr:s3cret').toString('base64')}` } }), 'next');
+  assert.equal(verify({ headers: { 'X-Webhook-Secret': 'wrong' } }), 401);
+  assert.equal(verify(), 401);
+});